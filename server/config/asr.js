@@ -0,0 +1,9 @@
+export const getAsrConfig = () => ({
+  defaultProvider: process.env.ASR_PROVIDER || "volcengine",
+  fallbackProvider: process.env.ASR_FALLBACK_PROVIDER || "",
+  whisper: {
+    baseUrl: process.env.WHISPER_BASE_URL || "",
+    apiKey: process.env.WHISPER_API_KEY || "",
+    model: process.env.WHISPER_MODEL || "whisper-1"
+  }
+});
@@ -19,3 +19,10 @@ export const billingPlans = [
   { id: "quarterly", label: "季度", price: 19.9, durationMs: 90 * 24 * 60 * 60 * 1000, usageNote: "模型调用费用另计" },
   { id: "halfyear", label: "半年", price: 49.9, durationMs: 180 * 24 * 60 * 60 * 1000, usageNote: "模型调用费用另计" }
 ];
+
+// 充值方案：支付金额可按租户覆盖，到账金额固定
+export const walletTopUpPlans = [
+  { id: "topup-50", label: "充值 50 元", type: "topup", price: 50, credit: 50 },
+  { id: "topup-200", label: "充值 200 元", type: "topup", price: 200, credit: 200 },
+  { id: "topup-500", label: "充值 500 元", type: "topup", price: 500, credit: 500 }
+];
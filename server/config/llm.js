@@ -0,0 +1,12 @@
+export const getLlmConfig = () => ({
+  provider: process.env.LLM_PROVIDER || "",
+  baseUrl: process.env.LLM_BASE_URL || "https://api.openai.com/v1",
+  apiKey: process.env.LLM_API_KEY || "",
+  model: process.env.LLM_MODEL || "gpt-4o-mini"
+});
+
+// 翻译默认复用 LLM 的接入配置，可单独指定实现
+export const getTranslationConfig = () => ({
+  ...getLlmConfig(),
+  provider: process.env.TRANSLATION_PROVIDER || process.env.LLM_PROVIDER || ""
+});
@@ -0,0 +1,37 @@
+import os from "node:os";
+import path from "node:path";
+
+export const getMediaConfig = () => ({
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || "",
+  signingSecret: process.env.MEDIA_SIGNING_SECRET || "",
+  cacheDir: process.env.MEDIA_CACHE_DIR || path.join(os.tmpdir(), "transcribe-media"),
+  urlTtlMs: Number.parseInt(process.env.MEDIA_URL_TTL_MS || "7200000", 10) || 7200000,
+  cacheTtlMs: Number.parseInt(process.env.MEDIA_CACHE_TTL_MS || "86400000", 10) || 86400000,
+  chunkThresholdMs: Number.parseInt(process.env.MEDIA_CHUNK_THRESHOLD_MS || "3600000", 10) || 3600000,
+  chunkMs: Number.parseInt(process.env.MEDIA_CHUNK_MS || "1800000", 10) || 1800000,
+  chunkOverlapMs: Number.parseInt(process.env.MEDIA_CHUNK_OVERLAP_MS || "10000", 10) || 10000,
+  downloadTimeoutMs: Number.parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || "600000", 10) || 600000,
+  maxLinkDurationSec: Number.parseInt(process.env.MEDIA_LINK_MAX_DURATION_SEC || "14400", 10) || 14400,
+  maxDownloadBytes: Number.parseInt(process.env.MEDIA_MAX_DOWNLOAD_BYTES || "2147483648", 10) || 2147483648,
+  // 附件只允许从飞书与 Lark 的域名下载，按后缀匹配子域名
+  attachmentHosts: (
+    process.env.MEDIA_ATTACHMENT_HOSTS || "feishu.cn,feishucdn.com,larksuite.com,larksuitecdn.com,larkoffice.com"
+  )
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)
+});
+
+export const ensureMediaConfig = () => {
+  const config = getMediaConfig();
+  const missing = [
+    ["PUBLIC_BASE_URL", config.publicBaseUrl],
+    ["MEDIA_SIGNING_SECRET", config.signingSecret]
+  ]
+    .filter(([, value]) => !value)
+    .map(([key]) => key);
+  if (missing.length > 0) {
+    throw new Error(`缺少环境变量: ${missing.join(", ")}`);
+  }
+  return config;
+};
@@ -0,0 +1,23 @@
+// 微信支付主动查单需要商户号、商户证书序列号与商户私钥，平台公钥用于校验响应签名
+export const getWechatPayConfig = () => {
+  const mchId = process.env.WECHATPAY_MCH_ID || "";
+  const serialNo = process.env.WECHATPAY_SERIAL_NO || "";
+  const privateKey = (process.env.WECHATPAY_PRIVATE_KEY || "").replaceAll("\\n", "\n");
+  if (!mchId || !serialNo || !privateKey) {
+    return null;
+  }
+  return {
+    mchId,
+    serialNo,
+    privateKey,
+    publicKey: process.env.WECHATPAY_PUBLIC_KEY || "",
+    apiBase: process.env.WECHATPAY_API_BASE || "https://api.mch.weixin.qq.com"
+  };
+};
+
+// 补单只查询创建一段时间后仍未收到通知的订单，超过最长时间的订单不再查询
+export const getReconcileConfig = () => ({
+  intervalMs: Number.parseInt(process.env.RECONCILE_INTERVAL_MS || "300000", 10) || 300000,
+  minAgeMs: Number.parseInt(process.env.RECONCILE_MIN_AGE_MS || "60000", 10) || 60000,
+  maxAgeMs: Number.parseInt(process.env.RECONCILE_MAX_AGE_MS || "172800000", 10) || 172800000
+});
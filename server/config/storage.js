@@ -0,0 +1,13 @@
+import path from "node:path";
+
+export const storageDrivers = ["sqlite", "json"];
+
+// 仅配置了旧的 SUBSCRIPTION_STORE_PATH 时沿用 JSON 文件，其余情况默认使用 SQLite
+export const getStorageConfig = () => {
+  const jsonPath = process.env.SUBSCRIPTION_STORE_PATH || "";
+  return {
+    driver: process.env.STORE_DRIVER || (jsonPath ? "json" : "sqlite"),
+    jsonPath,
+    sqlitePath: process.env.STORE_SQLITE_PATH || path.resolve("data", "store.db")
+  };
+};
@@ -4,6 +4,24 @@ export const getVolcConfig = () => ({
   resourceId: process.env.VOLC_RESOURCE_ID || "volc.bigasr.auc"
 });
 
+// 同时配置了公网地址与回调专用密钥时，提交任务才会登记回调地址；
+// 不复用媒体签名密钥，避免两类签名可以互相冒用
+export const getCallbackConfig = () => ({
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || "",
+  secret: process.env.VOLC_CALLBACK_SECRET || "",
+  fallbackQueryMs: Number.parseInt(process.env.VOLC_CALLBACK_FALLBACK_MS || "60000", 10) || 60000
+});
+
+// 账号级 QPS 限制，所有租户共享同一个令牌桶
+export const getRateLimitConfig = () => {
+  const ratePerSecond = Number(process.env.VOLC_RATE_LIMIT_QPS || "10") || 10;
+  return {
+    ratePerSecond,
+    burst: Number.parseInt(process.env.VOLC_RATE_LIMIT_BURST || "", 10) || ratePerSecond,
+    maxWaitMs: Number.parseInt(process.env.VOLC_RATE_LIMIT_MAX_WAIT_MS || "10000", 10) || 10000
+  };
+};
+
 export const ensureConfig = () => {
   const config = getVolcConfig();
   const missing = Object.entries(config)
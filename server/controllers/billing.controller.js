@@ -1,14 +1,15 @@
-import crypto from "node:crypto";
 import { createHttpError } from "../middleware/error.js";
 import { allowAdmin } from "../middleware/auth.js";
 import { getStores } from "../services/store.service.js";
+import { orderStatuses } from "../stores/order.js";
 import { normalizeBaseId } from "../stores/subscription.js";
 import {
   getPlansForBaseId,
+  getTopUpPlansForBaseId,
   resolvePlan,
-  billingOrders,
   buildPaymentUrl,
-  finalizePaidOrder
+  finalizePaidOrder,
+  isWalletBillingEnabled
 } from "../services/billing.service.js";
 import {
   getAlipayConfig,
@@ -19,6 +20,7 @@ import {
   decryptWechatResource,
   verifyAlipaySignature
 } from "../services/payment.service.js";
+import { getOrderReconciler } from "../services/reconcile.service.js";
 
 const billingWebhookToken = process.env.BILLING_WEBHOOK_TOKEN || "";
 
@@ -37,16 +39,8 @@ export const checkout = async (req, res) => {
   if (!plan) {
     throw createHttpError(400, "planId 无效");
   }
-  const orderId = crypto.randomUUID();
-  const order = {
-    orderId,
-    baseId: normalized,
-    planId: plan.id,
-    price: plan.price,
-    status: "pending",
-    createdAt: Date.now()
-  };
-  billingOrders.set(orderId, order);
+  const { orderStore } = getStores();
+  const { orderId } = orderStore.createOrder({ baseId: normalized, planId: plan.id, price: plan.price });
   const configuredPayUrl = buildPaymentUrl({
     orderId,
     baseId: normalized,
@@ -64,7 +58,7 @@ export const alipayPage = (req, res) => {
     res.status(400).send("orderId 必填");
     return;
   }
-  const order = billingOrders.get(orderId);
+  const order = getStores().orderStore.getOrder(orderId);
   if (!order) {
     res.status(404).send("订单不存在");
     return;
@@ -83,6 +77,8 @@ export const alipayPage = (req, res) => {
     res.status(400).send("未配置支付宝支付参数");
     return;
   }
+  // 记录支付渠道，补单时只向该渠道查询
+  getStores().orderStore.updateOrder(orderId, { channel: "alipay" });
   const params = buildAlipayPageParams({ order, plan, config });
   const sign = signAlipayParams({ params, privateKey: config.privateKey });
   const html = buildAlipayPageHtml({ gateway: config.gateway, params: { ...params, sign } });
@@ -90,6 +86,78 @@ export const alipayPage = (req, res) => {
   res.status(200).send(html);
 };
 
+export const listOrders = (req, res) => {
+  const { orderStore } = getStores();
+  const baseId = normalizeBaseId(req.query.baseId);
+  if (!baseId) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const orders = orderStore.listOrders({ baseId }).map((order) => ({
+    orderId: order.orderId,
+    planId: order.planId,
+    price: order.price,
+    status: order.status,
+    createdAt: order.createdAt,
+    paidAt: order.paidAt || 0,
+    paidUntil: order.paidUntil || 0
+  }));
+  res.json({ orders });
+};
+
+export const reconcileOrders = async (req, res) => {
+  if (!allowAdmin(req)) {
+    throw createHttpError(401, "未授权");
+  }
+  res.json(await getOrderReconciler().reconcile());
+};
+
+export const getWallet = (req, res) => {
+  const { walletStore } = getStores();
+  const baseId = normalizeBaseId(req.query.baseId);
+  if (!baseId) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const ledger = walletStore.listLedger({ baseId, limit: 50 }).map((entry) => ({
+    entryId: entry.entryId,
+    type: entry.type,
+    amount: entry.amount,
+    balance: entry.balance,
+    orderId: entry.orderId,
+    taskId: entry.taskId,
+    note: entry.note,
+    createdAt: entry.createdAt
+  }));
+  res.json({
+    baseId,
+    balance: walletStore.getBalance(baseId),
+    billable: isWalletBillingEnabled(baseId),
+    topUps: getTopUpPlansForBaseId(baseId),
+    ledger
+  });
+};
+
+export const adjustWallet = (req, res) => {
+  if (!allowAdmin(req)) {
+    throw createHttpError(401, "未授权");
+  }
+  const { walletStore } = getStores();
+  const { baseId, amount, note } = req.body || {};
+  const normalized = normalizeBaseId(baseId);
+  if (!normalized) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const parsedAmount = Number(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount === 0) {
+    throw createHttpError(400, "amount 无效");
+  }
+  const entry = walletStore.adjust({
+    baseId: normalized,
+    amount: parsedAmount,
+    note: typeof note === "string" ? note : ""
+  });
+  res.json({ ok: true, balance: entry.balance });
+};
+
 export const getUsage = async (req, res) => {
   const { billingStore } = getStores();
   const { baseId } = req.body || {};
@@ -122,7 +190,7 @@ export const setPricing = async (req, res) => {
     throw createHttpError(401, "未授权");
   }
   const { billingStore } = getStores();
-  const { baseId, planPriceById, modelUnitPrice, modelUnitLabel } = req.body || {};
+  const { baseId, planPriceById, modelUnitPrice, modelUnitLabel, walletBilling } = req.body || {};
   const normalized = normalizeBaseId(baseId);
   if (!normalized) {
     throw createHttpError(400, "baseId 必填");
@@ -136,7 +204,8 @@ export const setPricing = async (req, res) => {
   const ok = billingStore.setPricing(normalized, {
     planPriceById: planPriceById || {},
     modelUnitPrice,
-    modelUnitLabel
+    modelUnitLabel,
+    walletBilling
   });
   if (!ok) {
     throw createHttpError(400, "设置失败");
@@ -154,13 +223,17 @@ export const webhook = (req, res) => {
     res.status(400).send("orderId 必填");
     return;
   }
-  const order = billingOrders.get(orderId);
+  const { orderStore } = getStores();
+  const order = orderStore.getOrder(orderId);
   if (!order) {
     res.status(404).send("订单不存在");
     return;
   }
   if (status !== "paid") {
-    order.status = status || "failed";
+    // 已支付的订单不会被后续的失败通知改回
+    if (order.status === "pending") {
+      orderStore.updateOrder(orderId, { status: orderStatuses.includes(status) ? status : "failed" });
+    }
     res.json({ ok: true });
     return;
   }
@@ -0,0 +1,166 @@
+import { createHttpError } from "../middleware/error.js";
+import { formatSseEvent, subscribeJobEvents, toJobEvent } from "../services/event.service.js";
+import { getStores } from "../services/store.service.js";
+import { activeJobStatuses, isAttachmentJob } from "../stores/job.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+import { validateQueryOptions, validateSubmitParams } from "./transcribe.controller.js";
+
+const maxJobsPerRequest = 500;
+const streamHeartbeatMs = 25000;
+
+const toJobSummary = (job) => ({
+  jobId: job.jobId,
+  baseId: job.baseId,
+  runId: job.runId || "",
+  tableId: job.tableId,
+  recordId: job.recordId,
+  fileName: job.fileName,
+  fileToken: job.fileToken,
+  sourceUrl: job.request?.sourceUrl || "",
+  status: job.status,
+  attempts: job.attempts,
+  taskId: job.taskId,
+  logId: job.logId,
+  error: job.error,
+  output: job.output,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+  writtenAt: job.writtenAt || 0
+});
+
+export const createJobs = (req, res) => {
+  const { jobStore } = getStores();
+  const { baseId, runId, tableId, jobs } = req.body || {};
+  const normalized = normalizeBaseId(baseId);
+  if (!normalized) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const items = Array.isArray(jobs) ? jobs : [req.body];
+  if (items.length === 0 || items.length > maxJobsPerRequest) {
+    throw createHttpError(400, `jobs 数量需在 1-${maxJobsPerRequest} 之间`);
+  }
+  items.forEach((item) => {
+    validateSubmitParams(item?.request);
+    validateQueryOptions(item?.options);
+  });
+  const created = items.map((item) =>
+    jobStore.createJob({
+      baseId: normalized,
+      runId: item.runId || runId,
+      tableId: item.tableId || tableId,
+      recordId: item.recordId,
+      fileName: item.fileName,
+      fileToken: item.fileToken,
+      request: item.request,
+      options: item.options,
+      output: item.output
+    })
+  );
+  if (Array.isArray(jobs)) {
+    res.json({ jobs: created.map(toJobSummary) });
+    return;
+  }
+  res.json(toJobSummary(created[0]));
+};
+
+export const getJob = (req, res) => {
+  const { jobStore } = getStores();
+  const job = jobStore.getJob(req.params.id);
+  if (!job || job.baseId !== normalizeBaseId(req.query.baseId)) {
+    throw createHttpError(404, "任务不存在");
+  }
+  res.json({ ...toJobSummary(job), result: job.result });
+};
+
+export const listJobs = (req, res) => {
+  const { jobStore } = getStores();
+  const baseId = normalizeBaseId(req.query.baseId);
+  if (!baseId) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const tableId = typeof req.query.tableId === "string" ? req.query.tableId : "";
+  const status = typeof req.query.status === "string" ? req.query.status : "";
+  res.json({ jobs: jobStore.listJobs({ baseId, tableId, status }).map(toJobSummary) });
+};
+
+export const ackJobs = (req, res) => {
+  const { jobStore } = getStores();
+  const { baseId, jobIds } = req.body || {};
+  const normalized = normalizeBaseId(baseId);
+  if (!normalized || !Array.isArray(jobIds)) {
+    throw createHttpError(400, "baseId 与 jobIds 必填");
+  }
+  const writtenAt = Date.now();
+  const updated = jobIds.filter((jobId) => {
+    const job = jobStore.getJob(jobId);
+    if (!job || job.baseId !== normalized) {
+      return false;
+    }
+    jobStore.updateJob(jobId, { writtenAt });
+    return true;
+  });
+  res.json({ ok: true, count: updated.length });
+};
+
+export const retryJob = (req, res) => {
+  const { jobStore } = getStores();
+  const job = jobStore.getJob(req.params.id);
+  if (!job || job.baseId !== normalizeBaseId(req.body?.baseId)) {
+    throw createHttpError(404, "任务不存在");
+  }
+  if (job.status !== "failed") {
+    throw createHttpError(400, "只能重试失败的任务");
+  }
+  // 原附件链接可能已过期，附件任务需由插件按 fileToken 重新获取链接后重试
+  const audioUrl = req.body?.audioUrl;
+  if (isAttachmentJob(job) && (!audioUrl || typeof audioUrl !== "string")) {
+    throw createHttpError(400, "附件任务重试需提供新的 audioUrl");
+  }
+  // 多附件记录需要整体重新写回，避免只用重试的附件覆盖已写入的内容
+  jobStore
+    .listJobs({ baseId: job.baseId, tableId: job.tableId })
+    .filter((item) => item.recordId === job.recordId && item.jobId !== job.jobId && item.writtenAt)
+    .forEach((item) => jobStore.updateJob(item.jobId, { writtenAt: 0 }));
+  const updated = jobStore.updateJob(job.jobId, {
+    ...(isAttachmentJob(job) ? { request: { ...job.request, audioUrl }, urlIssuedAt: Date.now() } : {}),
+    status: "queued",
+    attempts: 0,
+    error: "",
+    taskId: "",
+    logId: "",
+    result: null,
+    finishedAt: 0,
+    writtenAt: 0,
+    nextRunAt: Date.now()
+  });
+  res.json(toJobSummary(updated));
+};
+
+// 连接时先补发进行中任务的当前状态，便于协作者中途加入查看
+export const streamJobs = (req, res) => {
+  const { jobStore } = getStores();
+  const baseId = normalizeBaseId(req.query.baseId);
+  if (!baseId) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  jobStore
+    .listJobs({ baseId })
+    .filter((job) => activeJobStatuses.includes(job.status))
+    .forEach((job) => {
+      res.write(formatSseEvent({ type: job.status, data: { ...toJobEvent(job), type: job.status, baseId } }));
+    });
+  const unsubscribe = subscribeJobEvents(baseId, (event) => res.write(formatSseEvent(event)));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), streamHeartbeatMs);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,38 @@
+import { describe, expect, it, vi } from "vitest";
+import { getJob, retryJob } from "./job.controller.js";
+import { closeStores, getStores, initStores } from "../services/store.service.js";
+
+describe("job controller", () => {
+  it("checks the base of job lookups and retries attachment jobs with a fresh link", () => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    initStores();
+    try {
+      const { jobStore } = getStores();
+      const job = jobStore.createJob({
+        baseId: "base-1",
+        fileToken: "file-1",
+        request: { audioUrl: "https://example.feishu.cn/old" }
+      });
+      jobStore.updateJob(job.jobId, { status: "failed", attempts: 3, urlIssuedAt: 0 });
+      const send = (handler, req) => {
+        let body;
+        handler({ params: { id: job.jobId }, query: {}, body: {}, ...req }, { json: (value) => (body = value) });
+        return body;
+      };
+
+      expect(() => send(getJob, { query: { baseId: "base-2" } })).toThrow("任务不存在");
+      expect(send(getJob, { query: { baseId: "base-1" } })).toMatchObject({ jobId: job.jobId, fileToken: "file-1" });
+
+      expect(() => send(retryJob, { body: { baseId: "base-1" } })).toThrow("audioUrl");
+      const retried = send(retryJob, { body: { baseId: "base-1", audioUrl: "https://example.feishu.cn/new" } });
+      expect(retried.status).toBe("queued");
+      const stored = jobStore.getJob(job.jobId);
+      expect(stored.request.audioUrl).toBe("https://example.feishu.cn/new");
+      expect(stored.urlIssuedAt).toBeGreaterThan(0);
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+});
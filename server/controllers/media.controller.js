@@ -0,0 +1,18 @@
+import { createHttpError } from "../middleware/error.js";
+import { getMediaConfig } from "../config/media.js";
+import { getMediaFile, verifyMediaSignature } from "../services/media.service.js";
+
+export const serveMedia = (req, res) => {
+  const { signingSecret } = getMediaConfig();
+  const mediaId = req.params.id;
+  const { expires, signature } = req.query;
+  if (!signingSecret || !verifyMediaSignature({ mediaId, expires, signature }, signingSecret)) {
+    throw createHttpError(403, "链接已失效");
+  }
+  const filePath = getMediaFile(mediaId);
+  if (!filePath) {
+    throw createHttpError(404, "文件不存在");
+  }
+  res.setHeader("Cache-Control", "private, no-store");
+  res.sendFile(filePath);
+};
@@ -0,0 +1,99 @@
+import { createHttpError } from "../middleware/error.js";
+import { releaseBillingTask } from "../services/billing.service.js";
+import { buildCsv, buildRunReportRows, buildXlsx, reportFormats } from "../services/report.service.js";
+import { getStores } from "../services/store.service.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+
+const runItemStatuses = ["submitted", "done", "failed", "written", "skipped"];
+
+// 运行记录只对所属的多维表格可见，其他 baseId 一律按不存在处理
+const ensureOwnedRun = (runId, baseId) => {
+  const { runStore } = getStores();
+  const run = runStore.getRunInfo(runId);
+  if (!run || run.baseId !== normalizeBaseId(baseId)) {
+    throw createHttpError(404, "运行记录不存在");
+  }
+  return run;
+};
+
+export const startRun = (req, res) => {
+  const { runStore } = getStores();
+  const { baseId, tableId, attachmentFieldId, outputFieldId, output, request, background } = req.body || {};
+  if (!normalizeBaseId(baseId)) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const run = runStore.startRun({ baseId, tableId, attachmentFieldId, outputFieldId, output, request, background });
+  if (!run) {
+    throw createHttpError(400, "tableId、attachmentFieldId 与 outputFieldId 必填");
+  }
+  res.json(run);
+};
+
+export const getLatestRun = (req, res) => {
+  const { runStore } = getStores();
+  const { baseId, tableId, attachmentFieldId, outputFieldId } = req.query;
+  if (!normalizeBaseId(baseId)) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  const run = runStore.getLatestRun({ baseId, tableId, attachmentFieldId, outputFieldId });
+  if (!run) {
+    throw createHttpError(404, "没有可继续的任务");
+  }
+  res.json(run);
+};
+
+export const getRun = (req, res) => {
+  const { runStore } = getStores();
+  ensureOwnedRun(req.params.id, req.query.baseId);
+  res.json(runStore.getRun(req.params.id));
+};
+
+export const updateRunItems = (req, res) => {
+  const { runStore } = getStores();
+  const { baseId, items } = req.body || {};
+  ensureOwnedRun(req.params.id, baseId);
+  if (!Array.isArray(items)) {
+    throw createHttpError(400, "items 必填");
+  }
+  if (items.some((item) => item?.status && !runItemStatuses.includes(item.status))) {
+    throw createHttpError(400, "status 无效");
+  }
+  runStore.upsertItems(req.params.id, items);
+  res.json({ ok: true });
+};
+
+export const finishRun = (req, res) => {
+  const { runStore } = getStores();
+  const { baseId, status } = req.body || {};
+  ensureOwnedRun(req.params.id, baseId);
+  if (status && status !== "completed" && status !== "stopped") {
+    throw createHttpError(400, "status 无效");
+  }
+  const run = runStore.finishRun(req.params.id, status);
+  // 停止时已提交未完成的任务不再占用余额，续跑查到结果时照常计费
+  if (run.status === "stopped") {
+    runStore
+      .listItems(run.runId)
+      .filter((item) => item.status === "submitted")
+      .forEach((item) => releaseBillingTask(item.taskId));
+  }
+  res.json({ ok: true });
+};
+
+export const downloadRunReport = (req, res) => {
+  const { runStore, jobStore } = getStores();
+  const format = req.query.format || "csv";
+  if (!reportFormats.includes(format)) {
+    throw createHttpError(400, "format 无效");
+  }
+  ensureOwnedRun(req.params.id, req.query.baseId);
+  const run = runStore.getRun(req.params.id);
+  const rows = buildRunReportRows(run, jobStore.listJobs({ baseId: run.baseId, runId: run.runId }));
+  const fileName = `run-report-${new Date(run.createdAt).toISOString().slice(0, 10)}-${run.runId.slice(0, 8)}.${format}`;
+  res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+  if (format === "xlsx") {
+    res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").send(buildXlsx(rows));
+    return;
+  }
+  res.type("text/csv; charset=utf-8").send(buildCsv(rows));
+};
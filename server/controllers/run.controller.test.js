@@ -0,0 +1,37 @@
+import { describe, expect, it, vi } from "vitest";
+import { downloadRunReport, finishRun, getRun, updateRunItems } from "./run.controller.js";
+import { closeStores, getStores, initStores } from "../services/store.service.js";
+
+describe("run controller", () => {
+  it("only serves and changes runs for the base that started them", () => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    initStores();
+    try {
+      const { runStore } = getStores();
+      const run = runStore.startRun({ baseId: "base-1", tableId: "tbl", attachmentFieldId: "att", outputFieldId: "out" });
+      runStore.upsertItems(run.runId, [{ recordId: "rec-1", taskId: "task-1", status: "submitted" }]);
+      const send = (handler, req) => {
+        let body;
+        const res = { json: (value) => (body = value), set: () => res, type: () => ({ send: (value) => (body = value) }) };
+        handler({ params: { id: run.runId }, query: {}, body: {}, ...req }, res);
+        return body;
+      };
+
+      expect(() => send(getRun, { query: { baseId: "base-2" } })).toThrow("运行记录不存在");
+      expect(() => send(downloadRunReport, { query: {} })).toThrow("运行记录不存在");
+      const items = [{ recordId: "rec-1", status: "done" }];
+      expect(() => send(updateRunItems, { body: { baseId: "base-2", items } })).toThrow("运行记录不存在");
+      expect(() => send(finishRun, { body: { baseId: "base-2", status: "stopped" } })).toThrow("运行记录不存在");
+      expect(runStore.getRunInfo(run.runId).status).toBe("running");
+
+      expect(send(getRun, { query: { baseId: "base-1" } }).items["rec-1:"].status).toBe("submitted");
+      expect(send(downloadRunReport, { query: { baseId: "base-1" } })).toContain("rec-1");
+      send(finishRun, { body: { baseId: "base-1", status: "stopped" } });
+      expect(runStore.getRunInfo(run.runId).status).toBe("stopped");
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+});
@@ -0,0 +1,25 @@
+import { createHttpError } from "../middleware/error.js";
+import { asrProviderNames } from "../services/asr.service.js";
+import { getStores } from "../services/store.service.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+
+export const getSettings = (req, res) => {
+  const { settingStore } = getStores();
+  const { baseId } = req.body || {};
+  if (!normalizeBaseId(baseId)) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  res.json({ asrProviders: asrProviderNames, ...settingStore.getSettings(baseId) });
+};
+
+export const setSettings = (req, res) => {
+  const { settingStore } = getStores();
+  const { baseId, asrProvider } = req.body || {};
+  if (!normalizeBaseId(baseId)) {
+    throw createHttpError(400, "baseId 必填");
+  }
+  if (asrProvider && !asrProviderNames.includes(asrProvider)) {
+    throw createHttpError(400, "asrProvider 无效");
+  }
+  res.json(settingStore.updateSettings(baseId, { asrProvider: asrProvider || "" }));
+};
@@ -1,32 +1,31 @@
 import { createHttpError } from "../middleware/error.js";
-import { ensureConfig } from "../config/volcengine.js";
-import {
-  buildSubmitPayload,
-  createVolcengineClient,
-  extractDurationMs,
-  extractText
-} from "../volcengineClient.js";
+import { getCallbackConfig } from "../config/volcengine.js";
+import { asrProviderNames } from "../services/asr.service.js";
+import { parseCallbackPayload, storeCallbackResult, verifyCallbackSignature } from "../services/callback.service.js";
+import { getStores } from "../services/store.service.js";
+import { subtitleFormats } from "../services/subtitle.service.js";
+import { translationLanguages } from "../services/translation.service.js";
+import { queryTranscription, submitTranscription } from "../services/transcribe.service.js";
 import { normalizeBaseId } from "../stores/subscription.js";
-import { billingTasks, recordUsageOnce } from "../services/billing.service.js";
 
-export const submitTask = async (req, res) => {
-  const config = ensureConfig();
-  const {
-    audioUrl,
-    format,
-    language,
-    modelVersion,
-    enableItn,
-    enablePunc,
-    enableDdc,
-    showUtterances,
-    baseId,
-    durationMs
-  } = req.body || {};
-
-  if (!audioUrl || typeof audioUrl !== "string") {
+export const validateSubmitParams = ({
+  audioUrl,
+  sourceUrl,
+  provider,
+  format,
+  language,
+  modelVersion,
+  durationMs
+} = {}) => {
+  if (sourceUrl !== undefined && (!sourceUrl || typeof sourceUrl !== "string")) {
+    throw createHttpError(400, "sourceUrl 无效");
+  }
+  if (!sourceUrl && (!audioUrl || typeof audioUrl !== "string")) {
     throw createHttpError(400, "audioUrl 必填");
   }
+  if (provider && !asrProviderNames.includes(provider)) {
+    throw createHttpError(400, "provider 无效");
+  }
   if (format && typeof format !== "string") {
     throw createHttpError(400, "format 无效");
   }
@@ -42,64 +41,115 @@ export const submitTask = async (req, res) => {
       throw createHttpError(400, "durationMs 无效");
     }
   }
+};
+
+export const validateQueryOptions = ({ subtitleFormat, targetLanguage } = {}) => {
+  if (subtitleFormat && !subtitleFormats.includes(subtitleFormat)) {
+    throw createHttpError(400, "subtitleFormat 无效");
+  }
+  if (targetLanguage && !translationLanguages[targetLanguage]) {
+    throw createHttpError(400, "targetLanguage 无效");
+  }
+};
 
-  const client = createVolcengineClient(config);
-  const payload = buildSubmitPayload({
+export const submitTask = async (req, res) => {
+  const {
     audioUrl,
+    sourceUrl,
+    preprocessMedia,
+    provider,
     format,
     language,
     modelVersion,
     enableItn,
     enablePunc,
     enableDdc,
-    showUtterances
-  });
+    showUtterances,
+    enableSpeakerInfo,
+    baseId,
+    durationMs,
+    runId,
+    recordId,
+    fileToken,
+    fileName
+  } = req.body || {};
 
-  const result = await client.submitTask(payload);
-  const normalizedBaseId = normalizeBaseId(baseId);
+  validateSubmitParams({ audioUrl, sourceUrl, provider, format, language, modelVersion, durationMs });
 
-  if (normalizedBaseId && result.taskId) {
-    const parsedDuration = Number(durationMs);
-    billingTasks.set(result.taskId, {
-      baseId: normalizedBaseId,
-      charged: false,
-      durationMs: Number.isFinite(parsedDuration) ? parsedDuration : undefined
-    });
+  const result = await submitTranscription({
+    audioUrl,
+    sourceUrl,
+    preprocessMedia: Boolean(preprocessMedia),
+    fileToken,
+    provider,
+    format,
+    language,
+    modelVersion,
+    enableItn,
+    enablePunc,
+    enableDdc,
+    showUtterances,
+    enableSpeakerInfo,
+    baseId,
+    durationMs
+  });
+
+  const { runStore } = getStores();
+  if (runId && recordId && runStore.getRunInfo(runId)?.baseId === normalizeBaseId(baseId)) {
+    runStore.upsertItems(runId, [
+      {
+        recordId,
+        fileToken,
+        fileName,
+        format: format || "",
+        durationMs: Number(durationMs) || 0,
+        taskId: result.taskId,
+        logId: result.logId,
+        status: "submitted",
+        error: ""
+      }
+    ]);
   }
 
   res.json({ taskId: result.taskId, logId: result.logId });
 };
 
 export const queryTask = async (req, res) => {
-  const config = ensureConfig();
-  const { taskId, logId } = req.body || {};
+  const { taskId, logId, baseId, subtitleFormat, withSpeakers, withInsights, targetLanguage, runId } = req.body || {};
 
   if (!taskId || typeof taskId !== "string") {
     throw createHttpError(400, "taskId 必填");
   }
+  validateQueryOptions({ subtitleFormat, targetLanguage });
 
-  const client = createVolcengineClient(config);
-  const result = await client.queryTask({ taskId, logId });
-
-  if (result.statusCode === "20000000") {
-    const durationMs = extractDurationMs(result.result?.result);
-    recordUsageOnce({ taskId, durationMs });
-    res.json({
-      status: "done",
-      text: extractText(result.result?.result),
-      logId: result.logId
+  const result = await queryTranscription({
+    taskId,
+    logId,
+    baseId,
+    subtitleFormat,
+    withSpeakers,
+    withInsights: Boolean(withInsights),
+    targetLanguage
+  });
+  const { runStore } = getStores();
+  if (runId && runStore.getRunInfo(runId)?.baseId === normalizeBaseId(baseId)) {
+    runStore.updateItemByTaskId(runId, taskId, {
+      status: result.status,
+      logId: result.logId || logId,
+      error: result.message || "",
+      ...(result.billedMinutes !== undefined
+        ? { billedMinutes: result.billedMinutes, billedCost: result.billedCost, durationMs: result.durationMs }
+        : {})
     });
-    return;
   }
+  res.json(result);
+};
 
-  if (result.statusCode && result.statusCode !== "20000001" && result.statusCode !== "20000002") {
-    res.json({
-      status: "failed",
-      message: `[${result.statusCode}] ${result.result?.message || "识别失败"}`,
-      logId: result.logId
-    });
-    return;
+export const receiveCallback = (req, res) => {
+  const { taskId, signature } = req.query;
+  if (!verifyCallbackSignature(taskId, signature, getCallbackConfig().secret)) {
+    throw createHttpError(401, "未授权");
   }
-
-  res.json({ status: "running", logId: result.logId });
+  storeCallbackResult(taskId, parseCallbackPayload({ headers: req.headers, body: req.body || {} }));
+  res.json({ ok: true });
 };
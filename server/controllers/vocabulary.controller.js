@@ -0,0 +1,69 @@
+import { createHttpError } from "../middleware/error.js";
+import { getStores } from "../services/store.service.js";
+import { maxHotwords, maxReplacements } from "../stores/vocabulary.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+
+const requireBaseId = (baseId) => {
+  if (!normalizeBaseId(baseId)) {
+    throw createHttpError(400, "baseId 必填");
+  }
+};
+
+const validateRule = ({ from, to } = {}) => {
+  if (!from || typeof from !== "string" || from.length > 100) {
+    throw createHttpError(400, "from 必填且不超过 100 字");
+  }
+  if (to !== undefined && (typeof to !== "string" || to.length > 100)) {
+    throw createHttpError(400, "to 无效");
+  }
+  return { from, to: to || "" };
+};
+
+export const getVocabulary = (req, res) => {
+  const { vocabularyStore } = getStores();
+  requireBaseId(req.query.baseId);
+  res.json(vocabularyStore.getVocabulary(req.query.baseId));
+};
+
+export const setHotwords = (req, res) => {
+  const { vocabularyStore } = getStores();
+  const { baseId, hotwords } = req.body || {};
+  requireBaseId(baseId);
+  if (!Array.isArray(hotwords) || hotwords.length > maxHotwords) {
+    throw createHttpError(400, `hotwords 需为数组且不超过 ${maxHotwords} 个`);
+  }
+  const vocabulary = vocabularyStore.setHotwords(baseId, hotwords);
+  res.json({ hotwords: vocabulary.hotwords });
+};
+
+export const addReplacement = (req, res) => {
+  const { vocabularyStore } = getStores();
+  const { baseId } = req.body || {};
+  requireBaseId(baseId);
+  const rule = vocabularyStore.addReplacement(baseId, validateRule(req.body));
+  if (!rule) {
+    throw createHttpError(400, `替换规则不能超过 ${maxReplacements} 条`);
+  }
+  res.json(rule);
+};
+
+export const updateReplacement = (req, res) => {
+  const { vocabularyStore } = getStores();
+  const { baseId } = req.body || {};
+  requireBaseId(baseId);
+  const rule = vocabularyStore.updateReplacement(baseId, req.params.id, validateRule(req.body));
+  if (!rule) {
+    throw createHttpError(404, "替换规则不存在");
+  }
+  res.json(rule);
+};
+
+export const removeReplacement = (req, res) => {
+  const { vocabularyStore } = getStores();
+  const baseId = req.body?.baseId || req.query.baseId;
+  requireBaseId(baseId);
+  if (!vocabularyStore.removeReplacement(baseId, req.params.id)) {
+    throw createHttpError(404, "替换规则不存在");
+  }
+  res.json({ ok: true });
+};
@@ -3,11 +3,19 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { loadEnvFiles } from "./config/env.js";
 import { initStores } from "./services/store.service.js";
-import { requestLogger } from "./middleware/logger.js";
+import { initJobRunner } from "./services/job.service.js";
+import { initOrderReconciler } from "./services/reconcile.service.js";
+import { pruneMediaCache } from "./services/media.service.js";
+import { logEvent, requestLogger } from "./middleware/logger.js";
 import { errorHandler } from "./middleware/error.js";
 import transcribeRoutes from "./routes/transcribe.routes.js";
 import subscriptionRoutes from "./routes/subscription.routes.js";
 import billingRoutes from "./routes/billing.routes.js";
+import jobRoutes from "./routes/job.routes.js";
+import runRoutes from "./routes/run.routes.js";
+import mediaRoutes from "./routes/media.routes.js";
+import settingRoutes from "./routes/setting.routes.js";
+import vocabularyRoutes from "./routes/vocabulary.routes.js";
 
 const app = express();
 const port = Number.parseInt(process.env.PORT || "5174", 10);
@@ -16,10 +24,14 @@ const env = process.env.NODE_ENV || "development";
 // 1. Load Env
 loadEnvFiles(env);
 
-// 2. Init Stores
+// 2. Init Stores & Job Runner
 initStores();
+const jobRunner = initJobRunner();
+const orderReconciler = initOrderReconciler();
 
 // 3. Global Middleware
+// 识别回调携带完整分句结果，单独放宽请求体大小
+app.use("/api/transcribe/callback", express.json({ limit: "50mb" }));
 app.use(express.json({
   limit: "1mb",
   verify: (req, res, buf) => {
@@ -43,6 +55,11 @@ app.use(requestLogger);
 app.use("/api/transcribe", transcribeRoutes);
 app.use("/api/subscription", subscriptionRoutes);
 app.use("/api/billing", billingRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/runs", runRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/settings", settingRoutes);
+app.use("/api/vocabulary", vocabularyRoutes);
 
 // 5. Static Files (Production)
 if (env === "production") {
@@ -60,6 +77,15 @@ app.use(errorHandler);
 
 // 7. Start Server
 if (env !== "test") {
+  jobRunner.start();
+  orderReconciler.start();
+  setInterval(() => {
+    try {
+      pruneMediaCache();
+    } catch (error) {
+      logEvent("error", { type: "media", message: error.message });
+    }
+  }, 60 * 60 * 1000).unref();
   app.listen(port, () => {
     console.log(`api:${port}`);
   });
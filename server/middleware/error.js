@@ -27,5 +27,8 @@ export const errorHandler = (err, req, res, next) => {
     next(err);
     return;
   }
+  if (err?.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
+  }
   res.status(status).json({ message, status });
 };
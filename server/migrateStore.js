@@ -0,0 +1,25 @@
+import { loadEnvFiles } from "./config/env.js";
+import { getStorageConfig } from "./config/storage.js";
+import { migrateJsonStore } from "./storage/migrate.js";
+import { createSqliteStorage } from "./storage/sqlite.js";
+
+// 用法：node server/migrateStore.js [JSON 文件路径] [--force]
+// 默认读取 SUBSCRIPTION_STORE_PATH，写入 STORE_SQLITE_PATH
+loadEnvFiles(process.env.NODE_ENV || "development");
+
+const args = process.argv.slice(2);
+const config = getStorageConfig();
+const jsonPath = args.find((arg) => !arg.startsWith("--")) || config.jsonPath;
+const storage = createSqliteStorage({ path: config.sqlitePath });
+
+try {
+  const counts = migrateJsonStore({ jsonPath, storage, force: args.includes("--force") });
+  console.log(`已从 ${jsonPath} 导入到 ${config.sqlitePath}`);
+  Object.entries(counts).forEach(([collection, count]) => console.log(`  ${collection}: ${count}`));
+  console.log("请移除 SUBSCRIPTION_STORE_PATH 或设置 STORE_DRIVER=sqlite 后重启服务");
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  storage.close();
+}
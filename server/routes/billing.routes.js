@@ -4,6 +4,10 @@ import {
   getPlans,
   checkout,
   alipayPage,
+  listOrders,
+  reconcileOrders,
+  getWallet,
+  adjustWallet,
   getUsage,
   setPricing,
   webhook,
@@ -19,6 +23,10 @@ const router = express.Router();
 router.get("/plans", getPlans);
 router.post("/checkout", asyncHandler(checkout));
 router.get("/alipay/page", alipayPage);
+router.get("/orders", asyncHandler(listOrders));
+router.post("/orders/reconcile", asyncHandler(reconcileOrders));
+router.get("/wallet", asyncHandler(getWallet));
+router.post("/wallet/adjust", asyncHandler(adjustWallet));
 router.post("/usage", asyncHandler(getUsage));
 router.post("/pricing/set", asyncHandler(setPricing));
 router.post("/webhook", webhook);
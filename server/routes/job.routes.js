@@ -0,0 +1,14 @@
+import express from "express";
+import { asyncHandler } from "../middleware/error.js";
+import { createJobs, getJob, listJobs, ackJobs, retryJob, streamJobs } from "../controllers/job.controller.js";
+
+const router = express.Router();
+
+router.post("/", asyncHandler(createJobs));
+router.get("/", asyncHandler(listJobs));
+router.post("/ack", asyncHandler(ackJobs));
+router.get("/stream", asyncHandler(streamJobs));
+router.get("/:id", asyncHandler(getJob));
+router.post("/:id/retry", asyncHandler(retryJob));
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { asyncHandler } from "../middleware/error.js";
+import { serveMedia } from "../controllers/media.controller.js";
+
+const router = express.Router();
+
+router.get("/:id", asyncHandler(serveMedia));
+
+export default router;
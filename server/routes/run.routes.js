@@ -0,0 +1,21 @@
+import express from "express";
+import { asyncHandler } from "../middleware/error.js";
+import {
+  startRun,
+  getLatestRun,
+  getRun,
+  updateRunItems,
+  finishRun,
+  downloadRunReport
+} from "../controllers/run.controller.js";
+
+const router = express.Router();
+
+router.post("/", asyncHandler(startRun));
+router.get("/latest", asyncHandler(getLatestRun));
+router.get("/:id", asyncHandler(getRun));
+router.get("/:id/report", asyncHandler(downloadRunReport));
+router.post("/:id/items", asyncHandler(updateRunItems));
+router.post("/:id/finish", asyncHandler(finishRun));
+
+export default router;
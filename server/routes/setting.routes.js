@@ -0,0 +1,10 @@
+import express from "express";
+import { asyncHandler } from "../middleware/error.js";
+import { getSettings, setSettings } from "../controllers/setting.controller.js";
+
+const router = express.Router();
+
+router.post("/get", asyncHandler(getSettings));
+router.post("/set", asyncHandler(setSettings));
+
+export default router;
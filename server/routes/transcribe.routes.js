@@ -1,10 +1,11 @@
 import express from "express";
 import { asyncHandler } from "../middleware/error.js";
-import { submitTask, queryTask } from "../controllers/transcribe.controller.js";
+import { submitTask, queryTask, receiveCallback } from "../controllers/transcribe.controller.js";
 
 const router = express.Router();
 
 router.post("/submit", asyncHandler(submitTask));
 router.post("/query", asyncHandler(queryTask));
+router.post("/callback", asyncHandler(receiveCallback));
 
 export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import { asyncHandler } from "../middleware/error.js";
+import {
+  getVocabulary,
+  setHotwords,
+  addReplacement,
+  updateReplacement,
+  removeReplacement
+} from "../controllers/vocabulary.controller.js";
+
+const router = express.Router();
+
+router.get("/", asyncHandler(getVocabulary));
+router.put("/hotwords", asyncHandler(setHotwords));
+router.post("/replacements", asyncHandler(addReplacement));
+router.put("/replacements/:id", asyncHandler(updateReplacement));
+router.delete("/replacements/:id", asyncHandler(removeReplacement));
+
+export default router;
@@ -0,0 +1,230 @@
+import crypto from "node:crypto";
+import { getAsrConfig } from "../config/asr.js";
+import { ensureConfig, getCallbackConfig } from "../config/volcengine.js";
+import {
+  buildSubmitPayload,
+  createVolcengineClient,
+  extractDurationMs,
+  extractText,
+  extractUtterances,
+  normalizeFormat
+} from "../volcengineClient.js";
+import { logEvent } from "../middleware/logger.js";
+import { createAsrTaskStore } from "../stores/asrTask.js";
+import { createCallbackUrl, getCallbackResult, registerCallbackTask, shouldQueryUpstream } from "./callback.service.js";
+import { openAudioStream } from "./media.service.js";
+import { getVolcengineLimiter } from "./rateLimit.service.js";
+import { getStores } from "./store.service.js";
+
+// 识别服务统一接口：submit 返回 { taskId, logId }，query 返回归一化后的
+// { status: "running" | "done" | "failed", text, utterances, durationMs, message, logId }
+export const asrProviderNames = ["volcengine", "whisper"];
+
+const whisperTaskPrefix = "whisper:";
+// 标识当前进程，区分重启前遗留的运行中任务
+const whisperRunnerId = crypto.randomUUID();
+
+export const isQuotaError = (message = "") => message.includes("45000292") || message.includes("quota exceeded");
+
+export const normalizeVolcengineResult = ({ statusCode, logId, result }) => {
+  if (statusCode === "20000000") {
+    return {
+      status: "done",
+      text: extractText(result?.result),
+      utterances: extractUtterances(result?.result),
+      durationMs: extractDurationMs(result?.result),
+      logId
+    };
+  }
+  if (statusCode && statusCode !== "20000001" && statusCode !== "20000002") {
+    return { status: "failed", message: `[${statusCode}] ${result?.message || "识别失败"}`, logId };
+  }
+  return { status: "running", logId };
+};
+
+export const createVolcengineProvider = ({
+  fetchImpl,
+  callbackConfig = getCallbackConfig(),
+  limiter = getVolcengineLimiter(),
+  ...config
+} = ensureConfig()) => {
+  const client = createVolcengineClient({ ...config, fetchImpl });
+
+  // 任务 ID 先于提交生成，以便写入带签名的回调地址
+  const submit = async ({ baseId, ...params }) => {
+    const taskId = crypto.randomUUID();
+    const callbackUrl = createCallbackUrl(taskId, callbackConfig);
+    const result = await limiter.schedule(baseId, () =>
+      client.submitTask(buildSubmitPayload({ ...params, callbackUrl }), { requestId: taskId })
+    );
+    if (callbackUrl) {
+      registerCallbackTask(result.taskId);
+    }
+    return { taskId: result.taskId, logId: result.logId };
+  };
+
+  const query = async ({ taskId, logId, baseId }) => {
+    const cached = getCallbackResult(taskId);
+    if (cached) {
+      return normalizeVolcengineResult(cached);
+    }
+    if (!shouldQueryUpstream(taskId, callbackConfig.fallbackQueryMs)) {
+      return { status: "running", logId };
+    }
+    return normalizeVolcengineResult(await limiter.schedule(baseId, () => client.queryTask({ taskId, logId })));
+  };
+
+  return { name: "volcengine", submit, query };
+};
+
+// verbose_json 返回的语言为英文全称，统一转为语言代码
+const whisperLanguageCodes = {
+  chinese: "zh",
+  english: "en",
+  japanese: "ja",
+  korean: "ko",
+  french: "fr",
+  spanish: "es",
+  portuguese: "pt",
+  russian: "ru"
+};
+
+export const normalizeWhisperResult = (payload) => {
+  const utterances = (Array.isArray(payload?.segments) ? payload.segments : [])
+    .map((segment) => ({
+      text: String(segment?.text || "").trim(),
+      start_time: Math.round(Number(segment?.start) * 1000),
+      end_time: Math.round(Number(segment?.end) * 1000)
+    }))
+    .filter((item) => item.text && Number.isFinite(item.start_time) && Number.isFinite(item.end_time));
+  const durationSeconds = Number(payload?.duration);
+  const language = String(payload?.language || "").trim().toLowerCase();
+  return {
+    text: String(payload?.text || "").trim() || utterances.map((item) => item.text).join(""),
+    utterances,
+    language: whisperLanguageCodes[language] || language,
+    durationMs:
+      Number.isFinite(durationSeconds) && durationSeconds > 0
+        ? Math.round(durationSeconds * 1000)
+        : utterances[utterances.length - 1]?.end_time || 0
+  };
+};
+
+// multipart 请求体按流生成，音频边下载边上传，不在内存中缓存整个文件
+const createMultipartBody = async function* (boundary, fields, file) {
+  const encoder = new TextEncoder();
+  for (const [name, value] of Object.entries(fields)) {
+    yield encoder.encode(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+  }
+  yield encoder.encode(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.filename}"\r\n` +
+      "Content-Type: application/octet-stream\r\n\r\n"
+  );
+  for await (const chunk of file.stream) {
+    yield chunk;
+  }
+  yield encoder.encode(`\r\n--${boundary}--\r\n`);
+};
+
+// OpenAI 兼容的 /audio/transcriptions 接口是同步的，这里在后台执行并把任务状态写入存储，
+// 对外仍保持提交 + 查询的异步语义；任务记录执行它的进程，重启后遗留的运行中任务按失败处理
+export const createWhisperProvider = ({
+  baseUrl,
+  apiKey,
+  model,
+  fetchImpl,
+  openAudio = openAudioStream,
+  taskStore = createAsrTaskStore({})
+}) => {
+  if (!baseUrl) {
+    throw new Error("缺少环境变量: WHISPER_BASE_URL");
+  }
+  const fetcher = fetchImpl || fetch;
+  const url = `${baseUrl.replace(/\/+$/, "")}/audio/transcriptions`;
+
+  const transcribe = async ({ audioUrl, format, language, hotwords }) => {
+    // 音频由本服务读取，只接受签发的媒体地址与飞书附件地址，避免按任意地址发起请求
+    const audio = await openAudio(audioUrl);
+    const fields = { model, response_format: "verbose_json" };
+    if (language) {
+      fields.language = language.split("-")[0];
+    }
+    // Whisper 没有热词参数，通过 prompt 提示专有名词的写法
+    if (hotwords?.length) {
+      fields.prompt = hotwords.join(", ");
+    }
+    const boundary = `----whisper${crypto.randomUUID().replace(/-/g, "")}`;
+    const response = await fetcher(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": `multipart/form-data; boundary=${boundary}`,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: createMultipartBody(boundary, fields, {
+        filename: `audio.${normalizeFormat(format)}`,
+        stream: audio
+      }),
+      duplex: "half"
+    });
+    const responseJson = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(responseJson?.error?.message || `Whisper 识别失败: ${response.status}`);
+    }
+    return normalizeWhisperResult(responseJson);
+  };
+
+  const submit = async (params) => {
+    const taskId = `${whisperTaskPrefix}${crypto.randomUUID()}`;
+    taskStore.saveTask(taskId, { status: "running", runnerId: whisperRunnerId });
+    transcribe(params)
+      .then(
+        (result) => taskStore.updateTask(taskId, { status: "done", ...result }),
+        (error) => taskStore.updateTask(taskId, { status: "failed", message: error.message || "识别失败" })
+      )
+      .catch((error) => logEvent("error", { type: "asr_task", taskId, message: error.message }));
+    return { taskId, logId: "" };
+  };
+
+  const query = async ({ taskId }) => {
+    const task = taskStore.getTask(taskId);
+    if (!task) {
+      return { status: "failed", message: "任务不存在或已过期", logId: "" };
+    }
+    if (task.status === "done") {
+      return {
+        status: "done",
+        text: task.text,
+        utterances: task.utterances,
+        durationMs: task.durationMs,
+        language: task.language,
+        logId: ""
+      };
+    }
+    if (task.status === "failed") {
+      return { status: "failed", message: task.message, logId: "" };
+    }
+    if (task.runnerId !== whisperRunnerId) {
+      return { status: "failed", message: "服务已重启，识别任务已中断", logId: "" };
+    }
+    return { status: "running", logId: "" };
+  };
+
+  return { name: "whisper", submit, query };
+};
+
+const providerFactories = {
+  volcengine: () => createVolcengineProvider(),
+  whisper: () => createWhisperProvider({ ...getAsrConfig().whisper, taskStore: getStores().asrTaskStore })
+};
+
+// 识别服务不保存任务状态，每次按当前配置与存储创建
+export const getAsrProvider = (name) => {
+  const providerName = name || getAsrConfig().defaultProvider;
+  if (!providerFactories[providerName]) {
+    throw new Error(`不支持的识别服务: ${providerName}`);
+  }
+  return providerFactories[providerName]();
+};
+
+export const getProviderNameForTask = (taskId = "") =>
+  taskId.startsWith(whisperTaskPrefix) ? "whisper" : "volcengine";
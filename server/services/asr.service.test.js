@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import http from "node:http";
+import { Readable } from "node:stream";
+import { createAsrTaskStore } from "../stores/asrTask.js";
+import { createWhisperProvider, normalizeVolcengineResult } from "./asr.service.js";
+
+describe("asr providers", () => {
+  it("normalizes volcengine status codes", () => {
+    const done = normalizeVolcengineResult({
+      statusCode: "20000000",
+      logId: "log-1",
+      result: { result: { text: "你好", utterances: [{ text: "你好", start_time: 0, end_time: 800 }] } }
+    });
+    expect(done).toMatchObject({ status: "done", text: "你好", durationMs: 800, logId: "log-1" });
+    expect(normalizeVolcengineResult({ statusCode: "20000001", logId: "log-1" }).status).toBe("running");
+    expect(normalizeVolcengineResult({ statusCode: "45000001", result: { message: "bad" } })).toMatchObject({
+      status: "failed",
+      message: "[45000001] bad"
+    });
+  });
+
+  it("streams whisper uploads and keeps task state in the task store", async () => {
+    const calls = [];
+    let uploaded = "";
+    const taskStore = createAsrTaskStore({});
+    const provider = createWhisperProvider({
+      baseUrl: "http://whisper.local/v1",
+      model: "whisper-1",
+      taskStore,
+      openAudio: async (url) => {
+        calls.push(url);
+        return Readable.from([Buffer.from("RIFF"), Buffer.from("DATA")]);
+      },
+      fetchImpl: async (url, options) => {
+        calls.push(url);
+        expect(options.duplex).toBe("half");
+        const boundary = options.headers["Content-Type"].split("boundary=")[1];
+        for await (const chunk of options.body) {
+          uploaded += Buffer.from(chunk).toString();
+        }
+        expect(uploaded).toContain(`--${boundary}--`);
+        return {
+          ok: true,
+          json: async () => ({
+            text: " 你好 世界 ",
+            language: "Chinese",
+            duration: 2.5,
+            segments: [{ text: "你好 世界", start: 0.2, end: 2.4 }]
+          })
+        };
+      }
+    });
+    const { taskId } = await provider.submit({ audioUrl: "http://audio.local/a.mp3", format: "mp3", language: "zh-CN" });
+    expect(taskId.startsWith("whisper:")).toBe(true);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(calls).toEqual(["http://audio.local/a.mp3", "http://whisper.local/v1/audio/transcriptions"]);
+    expect(uploaded).toContain('name="response_format"\r\n\r\nverbose_json');
+    expect(uploaded).toContain('name="language"\r\n\r\nzh');
+    expect(uploaded).toContain('filename="audio.mp3"\r\nContent-Type: application/octet-stream\r\n\r\nRIFFDATA\r\n');
+    expect(taskStore.getTask(taskId)).toMatchObject({ status: "done", text: "你好 世界" });
+
+    // 新建的实例共用同一存储，仍能查询到结果
+    const restarted = createWhisperProvider({ baseUrl: "http://whisper.local/v1", model: "whisper-1", taskStore });
+    expect(await restarted.query({ taskId })).toMatchObject({
+      status: "done",
+      text: "你好 世界",
+      durationMs: 2500,
+      language: "zh",
+      utterances: [{ text: "你好 世界", start_time: 200, end_time: 2400 }]
+    });
+    expect((await provider.query({ taskId: "whisper:missing" })).status).toBe("failed");
+
+    taskStore.saveTask("whisper:orphan", { status: "running", runnerId: "previous-process" });
+    expect(await provider.query({ taskId: "whisper:orphan" })).toMatchObject({
+      status: "failed",
+      message: "服务已重启，识别任务已中断"
+    });
+  });
+});
@@ -1,10 +1,11 @@
 import crypto from "node:crypto";
-import { billingPlans } from "../config/constants.js";
-import { getStores } from "./store.service.js";
+import { billingPlans, walletTopUpPlans } from "../config/constants.js";
+import { getStores, runInTransaction } from "./store.service.js";
 import { createUsageRecorder } from "../stores/billing.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+import { publishJobEvent } from "./event.service.js";
 
-export const billingOrders = new Map();
-export const billingTasks = new Map();
+const findPlan = (planId) => [...billingPlans, ...walletTopUpPlans].find((item) => item.id === planId);
 
 const formatUsageNote = (pricing) => {
   if (pricing?.tieredPrices?.length) {
@@ -19,7 +20,7 @@ const formatUsageNote = (pricing) => {
 
 export const resolvePlan = ({ baseId, planId }) => {
   const { billingStore } = getStores();
-  const plan = billingPlans.find((item) => item.id === planId);
+  const plan = findPlan(planId);
   if (!plan) {
     return null;
   }
@@ -33,10 +34,10 @@ export const resolvePlan = ({ baseId, planId }) => {
   };
 };
 
-export const getPlansForBaseId = (baseId) => {
+const applyPlanPrices = (plans, baseId) => {
   const { billingStore } = getStores();
   const pricing = billingStore.getPricing(baseId);
-  return billingPlans.map((plan) => {
+  return plans.map((plan) => {
     const overridePrice = pricing.planPriceById?.[plan.id];
     const overrideValue = Number(overridePrice);
     return {
@@ -47,25 +48,40 @@ export const getPlansForBaseId = (baseId) => {
   });
 };
 
+export const getPlansForBaseId = (baseId) => applyPlanPrices(billingPlans, baseId);
+
+export const getTopUpPlansForBaseId = (baseId) => applyPlanPrices(walletTopUpPlans, baseId);
+
+// 支付平台会重复推送通知，已支付的订单直接返回原结果，避免重复延长有效期或重复充值
 export const finalizePaidOrder = ({ orderId, paidAt }) => {
-  const { subscriptionStore } = getStores();
-  const order = billingOrders.get(orderId);
+  const { subscriptionStore, orderStore, walletStore } = getStores();
+  const order = orderStore.getOrder(orderId);
   if (!order) {
     return { ok: false, status: 404, message: "订单不存在" };
   }
-  const plan = billingPlans.find((item) => item.id === order.planId);
+  if (order.status === "paid") {
+    return { ok: true, paidUntil: order.paidUntil };
+  }
+  const plan = findPlan(order.planId);
   if (!plan) {
     return { ok: false, status: 400, message: "planId 无效" };
   }
-  const paidUntil = subscriptionStore.activatePlan({
-    baseId: order.baseId,
-    durationMs: plan.durationMs,
-    paidAt: paidAt || Date.now()
+  if (plan.type === "topup") {
+    return runInTransaction(() => {
+      const entry = walletStore.topUp({ baseId: order.baseId, amount: plan.credit, orderId });
+      orderStore.updateOrder(orderId, { status: "paid", paidAt: paidAt || Date.now() });
+      return { ok: true, paidUntil: 0, balance: entry?.balance ?? walletStore.getBalance(order.baseId) };
+    });
+  }
+  return runInTransaction(() => {
+    const paidUntil = subscriptionStore.activatePlan({
+      baseId: order.baseId,
+      durationMs: plan.durationMs,
+      paidAt: paidAt || Date.now()
+    });
+    orderStore.updateOrder(orderId, { status: "paid", paidAt: paidAt || Date.now(), paidUntil });
+    return { ok: true, paidUntil };
   });
-  order.status = "paid";
-  order.paidAt = paidAt || Date.now();
-  order.paidUntil = paidUntil;
-  return { ok: true, paidUntil };
 };
 
 export const buildPaymentUrl = ({ orderId, baseId, planId, price }) => {
@@ -80,8 +96,98 @@ export const buildPaymentUrl = ({ orderId, baseId, planId, price }) => {
     .replaceAll("{price}", String(price));
 };
 
+export const trackBillingTask = (taskId, task) => getStores().billingStore.billingTasks.set(taskId, task);
+
+// 识别失败或被重新提交的任务不会再有结果，直接删除
+export const discardBillingTask = (taskId) => {
+  const { billingTasks } = getStores().billingStore;
+  if (taskId && billingTasks.has(taskId)) {
+    billingTasks.delete(taskId);
+  }
+};
+
+// 停止后的任务仍可能在续跑时被查询，只释放占用的余额，查到结果时照常计费
+export const releaseBillingTask = (taskId) => {
+  const { billingTasks } = getStores().billingStore;
+  const task = taskId ? billingTasks.get(taskId) : null;
+  if (task && !task.released) {
+    billingTasks.set(taskId, { ...task, released: true });
+  }
+};
+
+// 试用时长在完成时扣减，提交前把已提交未计费的任务与本次时长一并计入，避免批量提交超出试用额度
+export const ensureSubscriptionAllowed = ({ baseId, durationMs }) => {
+  const { billingStore, subscriptionStore } = getStores();
+  const status = subscriptionStore.getStatus(baseId);
+  if (!status.allowed) {
+    const error = new Error(status.message || "请先开通订阅");
+    error.status = 402;
+    throw error;
+  }
+  if (status.isPaid) {
+    return;
+  }
+  const requiredMinutes =
+    billingStore.getPendingMinutes(status.baseId) + billingStore.resolveBilledMinutes({ durationMs });
+  if (status.freeRemaining < requiredMinutes) {
+    const error = new Error(`剩余试用 ${status.freeRemaining} 分钟，不足以处理待识别的 ${requiredMinutes} 分钟音频`);
+    error.status = 402;
+    throw error;
+  }
+};
+
+// 余额扣费需显式开启：WALLET_BILLING_ENABLED 对所有付费租户开启，或在租户定价中单独开启；
+// 未开启的付费租户保持原有的不限量使用，不会因余额为 0 被拒绝
+export const isWalletBillingEnabled = (baseId) => {
+  const { billingStore, subscriptionStore } = getStores();
+  const normalized = normalizeBaseId(baseId);
+  if (!subscriptionStore.isUsageBillable(normalized)) {
+    return false;
+  }
+  return process.env.WALLET_BILLING_ENABLED === "true" || billingStore.getPricing(normalized).walletBilling;
+};
+
+// 提交前按预计费用校验余额，已提交未计费且未释放的任务一并计入，避免批量提交时超支
+export const ensureWalletBalance = ({ baseId, durationMs }) => {
+  const { billingStore, walletStore } = getStores();
+  const normalized = normalizeBaseId(baseId);
+  if (!isWalletBillingEnabled(normalized)) {
+    return;
+  }
+  const estimatedCost = billingStore.estimateCost({
+    baseId: normalized,
+    minutes: billingStore.getPendingMinutes(normalized) + billingStore.resolveBilledMinutes({ durationMs })
+  });
+  const balance = walletStore.getBalance(normalized);
+  if (balance < estimatedCost) {
+    const error = new Error(`余额不足，预计费用 ${estimatedCost} 元，当前余额 ${balance} 元`);
+    error.status = 402;
+    throw error;
+  }
+};
+
+// 试用时长、模型用量与余额扣费按同一计费结果记账，并在同一事务内落盘
 export const recordUsageOnce = (params) => {
-  const { billingStore } = getStores();
+  const { billingStore, subscriptionStore, walletStore } = getStores();
+  const { billingTasks } = billingStore;
   const recorder = createUsageRecorder({ billingTasks, billingStore });
-  return recorder(params);
+  const task = billingTasks.get(params?.taskId);
+  const usage = runInTransaction(() => {
+    const recorded = recorder(params);
+    if (recorded && task) {
+      subscriptionStore.recordTrialUsage({ baseId: task.baseId, minutes: recorded.billedMinutes });
+      if (isWalletBillingEnabled(task.baseId)) {
+        walletStore.debit({ baseId: task.baseId, amount: recorded.billedCost, taskId: params.taskId });
+      }
+    }
+    return recorded;
+  });
+  if (usage && task) {
+    publishJobEvent(task.baseId, "billed", {
+      taskId: params.taskId,
+      minutes: usage.billedMinutes,
+      cost: usage.billedCost
+    });
+  }
+  return usage;
 };
@@ -0,0 +1,94 @@
+import { describe, expect, it, vi } from "vitest";
+import { createJobRunner } from "./job.service.js";
+import {
+  discardBillingTask,
+  ensureSubscriptionAllowed,
+  ensureWalletBalance,
+  recordUsageOnce,
+  releaseBillingTask,
+  trackBillingTask
+} from "./billing.service.js";
+import { closeStores, getStores, initStores } from "./store.service.js";
+
+describe("billing service", () => {
+  it("keeps paid tenants without a wallet working until wallet billing is enabled", () => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    vi.stubEnv("PAID_BASE_IDS", "base-p");
+    vi.stubEnv("WALLET_BILLING_ENABLED", "");
+    initStores();
+    try {
+      const { walletStore } = getStores();
+      expect(() => ensureWalletBalance({ baseId: "base-p", durationMs: 600000 })).not.toThrow();
+      trackBillingTask("task-1", { baseId: "base-p", charged: false, durationMs: 600000 });
+      expect(recordUsageOnce({ taskId: "task-1", durationMs: 600000 }).billedMinutes).toBe(10);
+      expect(walletStore.getBalance("base-p")).toBe(0);
+      expect(walletStore.listLedger({ baseId: "base-p" })).toEqual([]);
+
+      vi.stubEnv("WALLET_BILLING_ENABLED", "true");
+      expect(() => ensureWalletBalance({ baseId: "base-p", durationMs: 600000 })).toThrow("余额不足");
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it("stops reserving wallet balance for failed and stopped tasks", async () => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    vi.stubEnv("PAID_BASE_IDS", "base-w");
+    initStores();
+    try {
+      const { billingStore, jobStore, walletStore } = getStores();
+      billingStore.setPricing("base-w", { modelUnitPrice: 1, walletBilling: true });
+      walletStore.topUp({ baseId: "base-w", amount: 10, orderId: "order-1" });
+      trackBillingTask("task-1", { baseId: "base-w", charged: false, durationMs: 600000 });
+      expect(() => ensureWalletBalance({ baseId: "base-w", durationMs: 60000 })).toThrow("余额不足");
+
+      const job = jobStore.createJob({ baseId: "base-w", request: { audioUrl: "https://example.com/a.mp3" } });
+      jobStore.updateJob(job.jobId, { status: "submitted", taskId: "task-1", submittedAt: Date.now() });
+      const runner = createJobRunner({
+        jobStore,
+        submit: async () => ({ taskId: "task-2" }),
+        query: async () => ({ status: "failed", message: "识别失败" }),
+        discardTask: discardBillingTask
+      });
+      await runner.tick();
+      expect(jobStore.getJob(job.jobId).status).toBe("queued");
+      expect(billingStore.billingTasks.has("task-1")).toBe(false);
+      expect(() => ensureWalletBalance({ baseId: "base-w", durationMs: 60000 })).not.toThrow();
+
+      trackBillingTask("task-3", { baseId: "base-w", charged: false, durationMs: 600000 });
+      releaseBillingTask("task-3");
+      expect(billingStore.getPendingMinutes("base-w")).toBe(0);
+      expect(billingStore.billingTasks.get("task-3").released).toBe(true);
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it("rejects a trial batch that exceeds the remaining free minutes", () => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    vi.stubEnv("TRIAL_MINUTES", "5");
+    initStores();
+    try {
+      trackBillingTask("task-1", { baseId: "base-t", charged: false, durationMs: 180000 });
+      expect(() => ensureSubscriptionAllowed({ baseId: "base-t", durationMs: 120000 })).not.toThrow();
+      let rejected;
+      try {
+        ensureSubscriptionAllowed({ baseId: "base-t", durationMs: 150000 });
+      } catch (error) {
+        rejected = error;
+      }
+      expect(rejected?.status).toBe(402);
+      expect(rejected?.message).toContain("剩余试用 5 分钟");
+      discardBillingTask("task-1");
+      expect(() => ensureSubscriptionAllowed({ baseId: "base-t", durationMs: 150000 })).not.toThrow();
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import crypto from "node:crypto";
+import { getCallbackConfig } from "../config/volcengine.js";
+import { getStores } from "./store.service.js";
+
+export const buildCallbackSignature = (taskId, secret) =>
+  crypto.createHmac("sha256", secret).update(`callback:${taskId}`).digest("hex");
+
+export const verifyCallbackSignature = (taskId, signature, secret) => {
+  if (!taskId || !signature || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(buildCallbackSignature(taskId, secret));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export const createCallbackUrl = (taskId, { publicBaseUrl, secret } = getCallbackConfig()) => {
+  if (!publicBaseUrl || !secret) {
+    return "";
+  }
+  const query = new URLSearchParams({ taskId, signature: buildCallbackSignature(taskId, secret) });
+  return `${publicBaseUrl.replace(/\/+$/, "")}/api/transcribe/callback?${query}`;
+};
+
+export const registerCallbackTask = (taskId, now = Date.now()) => getStores().callbackStore.registerTask(taskId, now);
+
+// 火山引擎回调体与查询接口的响应体结构一致，状态码可能在头部或正文中
+export const parseCallbackPayload = ({ headers = {}, body = {} }) => {
+  const statusCode =
+    headers["x-api-status-code"] ||
+    (body.code !== undefined ? String(body.code) : "") ||
+    (body.status_code !== undefined ? String(body.status_code) : "") ||
+    (body.result ? "20000000" : "");
+  return {
+    statusCode,
+    logId: headers["x-tt-logid"] || "",
+    result: body
+  };
+};
+
+export const storeCallbackResult = (taskId, payload, now = Date.now()) =>
+  getStores().callbackStore.saveResult(taskId, payload, now);
+
+export const getCallbackResult = (taskId) => getStores().callbackStore.getResult(taskId);
+
+// 已登记回调的任务在等待期间不查询火山引擎，超过间隔后才兜底查询一次
+export const shouldQueryUpstream = (taskId, fallbackQueryMs, now = Date.now()) => {
+  const { callbackStore } = getStores();
+  const task = callbackStore.getTask(taskId);
+  if (!task) {
+    return true;
+  }
+  if (now - task.lastQueriedAt < fallbackQueryMs) {
+    return false;
+  }
+  callbackStore.markQueried(taskId, now);
+  return true;
+};
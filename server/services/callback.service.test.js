@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createVolcengineProvider } from "./asr.service.js";
+import {
+  buildCallbackSignature,
+  parseCallbackPayload,
+  shouldQueryUpstream,
+  storeCallbackResult,
+  verifyCallbackSignature
+} from "./callback.service.js";
+import { getCallbackConfig } from "../config/volcengine.js";
+import { closeStores, initStores } from "./store.service.js";
+
+describe("transcribe callbacks", () => {
+  const createStoreDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "transcribe-callback-"));
+
+  it("registers a signed callback url and serves stored callback results after a restart", async () => {
+    const dir = createStoreDir();
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", path.join(dir, "store.db"));
+    initStores();
+    try {
+      const requests = [];
+      const provider = createVolcengineProvider({
+        appId: "app",
+        accessKey: "key",
+        resourceId: "res",
+        callbackConfig: { publicBaseUrl: "https://api.example.com", secret: "secret", fallbackQueryMs: 60000 },
+        fetchImpl: async (url, options) => {
+          requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+          return {
+            ok: true,
+            text: async () => "{}",
+            headers: new Map([["X-Api-Status-Code", "20000000"], ["X-Tt-Logid", "log-1"]])
+          };
+        }
+      });
+      const { taskId } = await provider.submit({ audioUrl: "https://example.com/a.mp3" });
+      const callbackUrl = new URL(requests[0].body.request.callback);
+      expect(requests[0].headers["X-Api-Request-Id"]).toBe(taskId);
+      expect(callbackUrl.pathname).toBe("/api/transcribe/callback");
+      expect(callbackUrl.searchParams.get("taskId")).toBe(taskId);
+      expect(verifyCallbackSignature(taskId, callbackUrl.searchParams.get("signature"), "secret")).toBe(true);
+      expect(verifyCallbackSignature(taskId, "forged", "secret")).toBe(false);
+
+      expect((await provider.query({ taskId, logId: "log-1" })).status).toBe("running");
+      expect(requests).toHaveLength(1);
+
+      storeCallbackResult(
+        taskId,
+        parseCallbackPayload({
+          headers: { "x-api-status-code": "20000000", "x-tt-logid": "log-2" },
+          body: { result: { text: "回调结果", utterances: [] } }
+        })
+      );
+      closeStores();
+      initStores();
+      expect(await provider.query({ taskId, logId: "log-1" })).toMatchObject({
+        status: "done",
+        text: "回调结果",
+        logId: "log-2"
+      });
+      expect(requests).toHaveLength(1);
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("only registers callbacks with a dedicated callback secret", async () => {
+    vi.stubEnv("PUBLIC_BASE_URL", "https://api.example.com");
+    vi.stubEnv("MEDIA_SIGNING_SECRET", "media-secret");
+    vi.stubEnv("VOLC_CALLBACK_SECRET", "");
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    initStores();
+    try {
+      const callbackConfig = getCallbackConfig();
+      expect(callbackConfig.secret).toBe("");
+      const requests = [];
+      const provider = createVolcengineProvider({
+        appId: "app",
+        accessKey: "key",
+        resourceId: "res",
+        callbackConfig,
+        fetchImpl: async (url, options) => {
+          requests.push(JSON.parse(options.body));
+          return {
+            ok: true,
+            text: async () => "{}",
+            headers: new Map([["X-Api-Status-Code", "20000000"], ["X-Tt-Logid", "log-1"]])
+          };
+        }
+      });
+      const { taskId } = await provider.submit({ audioUrl: "https://example.com/a.mp3" });
+      expect(requests[0].request.callback).toBeUndefined();
+      expect(shouldQueryUpstream(taskId, 60000)).toBe(true);
+      expect(verifyCallbackSignature(taskId, buildCallbackSignature(taskId, "media-secret"), callbackConfig.secret)).toBe(
+        false
+      );
+
+      vi.stubEnv("VOLC_CALLBACK_SECRET", "callback-secret");
+      expect(getCallbackConfig().secret).toBe("callback-secret");
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  });
+});
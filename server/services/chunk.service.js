@@ -0,0 +1,44 @@
+import crypto from "node:crypto";
+
+export const createChunkTaskId = () => `chunk:${crypto.randomUUID()}`;
+
+export const isChunkTaskId = (taskId) => typeof taskId === "string" && taskId.startsWith("chunk:");
+
+export const buildChunkPlan = (durationMs, { chunkMs, overlapMs }) => {
+  if (!(durationMs > chunkMs) || overlapMs >= chunkMs) {
+    return [{ offsetMs: 0, durationMs }];
+  }
+  const plan = [];
+  for (let offsetMs = 0; offsetMs < durationMs; offsetMs += chunkMs - overlapMs) {
+    plan.push({ offsetMs, durationMs: Math.min(chunkMs, durationMs - offsetMs) });
+    if (offsetMs + chunkMs >= durationMs) {
+      break;
+    }
+  }
+  return plan;
+};
+
+// 相邻分段的重叠区以中点为界，避免同一句话出现两次
+export const mergeChunkResults = (parts) => {
+  const sorted = [...parts].sort((a, b) => a.offsetMs - b.offsetMs);
+  const utterances = [];
+  sorted.forEach((part, index) => {
+    const prev = sorted[index - 1];
+    const next = sorted[index + 1];
+    const startCut = prev ? (part.offsetMs + prev.offsetMs + prev.durationMs) / 2 : Number.NEGATIVE_INFINITY;
+    const endCut = next ? (next.offsetMs + part.offsetMs + part.durationMs) / 2 : Number.POSITIVE_INFINITY;
+    (part.utterances || []).forEach((item) => {
+      const startTime = item.start_time + part.offsetMs;
+      if (startTime < startCut || startTime >= endCut) {
+        return;
+      }
+      utterances.push({ ...item, start_time: startTime, end_time: item.end_time + part.offsetMs });
+    });
+  });
+  const last = sorted[sorted.length - 1];
+  return {
+    utterances,
+    text: utterances.length > 0 ? utterances.map((item) => item.text).join("") : sorted.map((part) => part.text || "").join(""),
+    durationMs: last ? last.offsetMs + last.durationMs : 0
+  };
+};
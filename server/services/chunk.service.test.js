@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { buildChunkPlan, mergeChunkResults } from "./chunk.service.js";
+
+describe("chunked transcription", () => {
+  it("plans overlapping chunks that cover the whole recording", () => {
+    expect(buildChunkPlan(50000, { chunkMs: 60000, overlapMs: 5000 })).toEqual([{ offsetMs: 0, durationMs: 50000 }]);
+    expect(buildChunkPlan(130000, { chunkMs: 60000, overlapMs: 10000 })).toEqual([
+      { offsetMs: 0, durationMs: 60000 },
+      { offsetMs: 50000, durationMs: 60000 },
+      { offsetMs: 100000, durationMs: 30000 }
+    ]);
+  });
+
+  it("merges chunk utterances with offset correction and drops overlap duplicates", () => {
+    const merged = mergeChunkResults([
+      {
+        offsetMs: 50000,
+        durationMs: 30000,
+        utterances: [
+          { text: "重复。", start_time: 4000, end_time: 6000 },
+          { text: "后段。", start_time: 8000, end_time: 9000 }
+        ]
+      },
+      {
+        offsetMs: 0,
+        durationMs: 60000,
+        utterances: [
+          { text: "前段。", start_time: 1000, end_time: 2000 },
+          { text: "重复。", start_time: 54000, end_time: 56000 },
+          { text: "尾部。", start_time: 56000, end_time: 58000 }
+        ]
+      }
+    ]);
+    expect(merged.text).toBe("前段。重复。后段。");
+    expect(merged.utterances.map((item) => item.start_time)).toEqual([1000, 54000, 58000]);
+    expect(merged.utterances[2].end_time).toBe(59000);
+    expect(merged.durationMs).toBe(80000);
+  });
+});
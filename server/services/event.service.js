@@ -0,0 +1,51 @@
+import { EventEmitter } from "node:events";
+import { normalizeBaseId } from "../stores/subscription.js";
+
+export const jobEventTypes = ["queued", "submitted", "running", "done", "failed", "billed"];
+
+// 进度事件只在当前进程内广播，多实例部署时各实例只能看到自己处理的任务
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let nextEventId = 1;
+
+export const publishJobEvent = (baseId, type, payload = {}) => {
+  const normalized = normalizeBaseId(baseId);
+  if (!normalized || !jobEventTypes.includes(type)) {
+    return null;
+  }
+  const event = { id: nextEventId, type, data: { ...payload, type, baseId: normalized, at: Date.now() } };
+  nextEventId += 1;
+  emitter.emit(normalized, event);
+  return event;
+};
+
+export const subscribeJobEvents = (baseId, listener) => {
+  const normalized = normalizeBaseId(baseId);
+  emitter.on(normalized, listener);
+  return () => emitter.off(normalized, listener);
+};
+
+export const formatSseEvent = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// 任务状态与进度事件同名，只在状态变化时发布
+export const toJobEvent = (job) => ({
+  jobId: job.jobId,
+  tableId: job.tableId,
+  recordId: job.recordId,
+  fileName: job.fileName,
+  taskId: job.taskId,
+  attempts: job.attempts,
+  error: job.error
+});
+
+export const toRunItemEvent = (run, item) => ({
+  runId: run.runId,
+  tableId: run.tableId,
+  recordId: item.recordId,
+  fileToken: item.fileToken || "",
+  fileName: item.fileName || "",
+  taskId: item.taskId || "",
+  error: item.error || ""
+});
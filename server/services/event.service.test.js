@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { createJobStore } from "../stores/job.js";
+import { createRunStore } from "../stores/run.js";
+import { formatSseEvent, publishJobEvent, subscribeJobEvents } from "./event.service.js";
+import { createRecordingStorage } from "../storage/testing.js";
+
+describe("progress events", () => {
+  it("reports each job status transition once and streams it to subscribers of the base", async () => {
+    const events = [];
+    const unsubscribe = subscribeJobEvents("base-1", (event) => events.push(event));
+    const jobStore = createJobStore({
+      onStatusChange: (job) => publishJobEvent(job.baseId, job.status, { jobId: job.jobId })
+    });
+    const job = jobStore.createJob({ baseId: "base-1", request: { audioUrl: "https://example.com/a.mp3" } });
+    jobStore.updateJob(job.jobId, { status: "running" });
+    jobStore.updateJob(job.jobId, { status: "running", logId: "log-1" });
+    jobStore.updateJob(job.jobId, { status: "done" });
+    publishJobEvent("base-2", "billed", { taskId: "task-2" });
+    unsubscribe();
+
+    expect(events.map((event) => event.type)).toEqual(["queued", "running", "done"]);
+    expect(events[0].data).toMatchObject({ jobId: job.jobId, baseId: "base-1", type: "queued" });
+    expect(formatSseEvent({ id: 3, type: "done", data: { jobId: "job-1" } })).toBe(
+      'id: 3\nevent: done\ndata: {"jobId":"job-1"}\n\n'
+    );
+  });
+
+  it("reports run item transitions without re-persisting unchanged polls", () => {
+    const changes = [];
+    const { storage, batches } = createRecordingStorage();
+    const runStore = createRunStore({
+      storage,
+      onItemStatusChange: (run, item) => changes.push(item.status)
+    });
+    const run = runStore.startRun({ baseId: "base-1", tableId: "tbl", attachmentFieldId: "att", outputFieldId: "out" });
+    runStore.upsertItems(run.runId, [{ recordId: "rec-1", fileToken: "f1", taskId: "task-1", status: "submitted" }]);
+    runStore.updateItemByTaskId(run.runId, "task-1", { status: "running", logId: "log-1", error: "" });
+    const persistedAfterRunning = batches.length;
+    runStore.updateItemByTaskId(run.runId, "task-1", { status: "running", logId: "log-1", error: "" });
+    runStore.updateItemByTaskId(run.runId, "task-1", { status: "done", logId: "log-1", error: "" });
+
+    expect(changes).toEqual(["submitted", "running", "done"]);
+    expect(batches).toHaveLength(persistedAfterRunning + 1);
+  });
+});
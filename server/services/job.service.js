@@ -0,0 +1,200 @@
+import { isQuotaError } from "./asr.service.js";
+import { discardBillingTask } from "./billing.service.js";
+import { getStores } from "./store.service.js";
+import { isAttachmentJob } from "../stores/job.js";
+import { queryTranscription, submitTranscription } from "./transcribe.service.js";
+import { logEvent } from "../middleware/logger.js";
+
+let jobRunner;
+
+export const attachmentUrlExpiredMessage = "附件链接已过期，请在插件中重试该任务";
+
+export const createJobRunner = ({
+  jobStore,
+  submit,
+  query,
+  discardTask = () => {},
+  concurrency = 5,
+  pollIntervalMs = 5000,
+  maxAttempts = 3,
+  maxPollMs = 6 * 60 * 60 * 1000,
+  attachmentUrlTtlMs = 60 * 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  tickMs = 1000
+}) => {
+  const inFlight = new Set();
+  let timer = null;
+
+  // 超时放弃或重新提交的任务不会再查询，对应的待计费任务一并丢弃
+  const failAttempt = (job, message) => {
+    discardTask(job.taskId);
+    const attempts = job.attempts + 1;
+    if (attempts >= maxAttempts) {
+      return jobStore.updateJob(job.jobId, {
+        status: "failed",
+        attempts,
+        error: message,
+        finishedAt: Date.now()
+      });
+    }
+    const backoffMs = (isQuotaError(message) ? 2000 : 1000) * attempts * 5;
+    return jobStore.updateJob(job.jobId, {
+      status: "queued",
+      attempts,
+      error: message,
+      taskId: "",
+      logId: "",
+      nextRunAt: Date.now() + backoffMs
+    });
+  };
+
+  const submitJob = async (job) => {
+    // 服务端无法重新获取飞书附件链接，自动重试时链接已过期则直接失败，由插件带上新链接重试
+    if (job.attempts > 0 && isAttachmentJob(job) && Date.now() - (job.urlIssuedAt || job.createdAt) > attachmentUrlTtlMs) {
+      return jobStore.updateJob(job.jobId, {
+        status: "failed",
+        error: attachmentUrlExpiredMessage,
+        finishedAt: Date.now()
+      });
+    }
+    try {
+      const result = await submit({ ...job.request, fileToken: job.fileToken });
+      return jobStore.updateJob(job.jobId, {
+        status: "submitted",
+        taskId: result.taskId,
+        logId: result.logId || "",
+        submittedAt: Date.now(),
+        nextRunAt: Date.now() + pollIntervalMs
+      });
+    } catch (error) {
+      // 服务端限流不计入失败次数，按建议的等待时间重新排队
+      if (error.status === 429) {
+        return jobStore.updateJob(job.jobId, {
+          error: error.message,
+          nextRunAt: Date.now() + (error.retryAfterMs || pollIntervalMs)
+        });
+      }
+      // 试用用完或余额不足时重试无意义，直接失败
+      if (error.status === 402) {
+        return jobStore.updateJob(job.jobId, {
+          status: "failed",
+          attempts: job.attempts + 1,
+          error: error.message,
+          finishedAt: Date.now()
+        });
+      }
+      return failAttempt(job, error.message || "提交失败");
+    }
+  };
+
+  const pollJob = async (job) => {
+    if (Date.now() - job.submittedAt > maxPollMs) {
+      return failAttempt(job, "识别超时");
+    }
+    let result;
+    try {
+      result = await query({ taskId: job.taskId, logId: job.logId, baseId: job.baseId, ...job.options });
+    } catch (error) {
+      return jobStore.updateJob(job.jobId, {
+        error: error.message || "查询失败",
+        nextRunAt: Date.now() + Math.max(pollIntervalMs, error.retryAfterMs || 0)
+      });
+    }
+    if (result.status === "done") {
+      return jobStore.updateJob(job.jobId, {
+        status: "done",
+        error: "",
+        logId: result.logId || job.logId,
+        result: {
+          text: result.text || "",
+          subtitle: result.subtitle,
+          utterances: result.utterances || [],
+          speakerCount: result.speakerCount || 0,
+          insights: result.insights,
+          insightError: result.insightError,
+          translation: result.translation,
+          translationError: result.translationError,
+          durationMs: result.durationMs || 0,
+          language: result.language,
+          billedMinutes: result.billedMinutes,
+          billedCost: result.billedCost
+        },
+        finishedAt: Date.now()
+      });
+    }
+    if (result.status === "failed") {
+      return failAttempt({ ...job, logId: result.logId || job.logId }, result.message || "识别失败");
+    }
+    return jobStore.updateJob(job.jobId, {
+      status: "running",
+      logId: result.logId || job.logId,
+      nextRunAt: Date.now() + pollIntervalMs
+    });
+  };
+
+  const runJob = async (job) => {
+    inFlight.add(job.jobId);
+    try {
+      if (job.status === "queued") {
+        await submitJob(job);
+      } else {
+        await pollJob(job);
+      }
+    } catch (error) {
+      logEvent("error", { type: "job", jobId: job.jobId, message: error.message });
+    } finally {
+      inFlight.delete(job.jobId);
+    }
+  };
+
+  const tick = async () => {
+    const slots = concurrency - inFlight.size;
+    if (slots <= 0) {
+      return;
+    }
+    const dueJobs = jobStore.getDueJobs(Date.now()).filter((job) => !inFlight.has(job.jobId));
+    await Promise.all(dueJobs.slice(0, slots).map((job) => runJob(job)));
+    jobStore.pruneJobs(Date.now() - retentionMs);
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(() => {
+      tick().catch((error) => logEvent("error", { type: "job", message: error.message }));
+    }, tickMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { tick, start, stop };
+};
+
+export const initJobRunner = () => {
+  const { jobStore } = getStores();
+  jobRunner = createJobRunner({
+    jobStore,
+    submit: submitTranscription,
+    query: queryTranscription,
+    discardTask: discardBillingTask,
+    concurrency: Number.parseInt(process.env.JOB_CONCURRENCY || "5", 10) || 5,
+    pollIntervalMs: Number.parseInt(process.env.JOB_POLL_INTERVAL_MS || "5000", 10) || 5000,
+    maxAttempts: Number.parseInt(process.env.JOB_MAX_ATTEMPTS || "3", 10) || 3,
+    attachmentUrlTtlMs: Number.parseInt(process.env.JOB_ATTACHMENT_URL_TTL_MS || "3600000", 10) || 3600000
+  });
+  return jobRunner;
+};
+
+export const getJobRunner = () => {
+  if (!jobRunner) {
+    throw new Error("Job runner not initialized");
+  }
+  return jobRunner;
+};
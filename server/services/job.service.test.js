@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { createJobStore } from "../stores/job.js";
+import { attachmentUrlExpiredMessage, createJobRunner } from "./job.service.js";
+
+describe("job runner", () => {
+  const createJob = (jobStore) =>
+    jobStore.createJob({
+      baseId: "base-1",
+      tableId: "tbl-1",
+      recordId: "rec-1",
+      request: { audioUrl: "https://example.com/a.mp3" }
+    });
+
+  it("submits, polls and stores the result", async () => {
+    const jobStore = createJobStore({});
+    const job = createJob(jobStore);
+    let polls = 0;
+    const runner = createJobRunner({
+      jobStore,
+      pollIntervalMs: 0,
+      submit: async () => ({ taskId: "task-1", logId: "log-1" }),
+      query: async () => {
+        polls += 1;
+        return polls < 2 ? { status: "running" } : { status: "done", text: "hello", durationMs: 1000 };
+      }
+    });
+    await runner.tick();
+    expect(jobStore.getJob(job.jobId).status).toBe("submitted");
+    await runner.tick();
+    expect(jobStore.getJob(job.jobId).status).toBe("running");
+    await runner.tick();
+    const done = jobStore.getJob(job.jobId);
+    expect(done.status).toBe("done");
+    expect(done.result.text).toBe("hello");
+    expect(jobStore.listJobs({ baseId: "base-1", status: "done" })).toHaveLength(1);
+  });
+
+  it("retries failed submissions up to maxAttempts", async () => {
+    const jobStore = createJobStore({});
+    const job = createJob(jobStore);
+    const runner = createJobRunner({
+      jobStore,
+      maxAttempts: 2,
+      submit: async () => {
+        throw new Error("boom");
+      },
+      query: async () => ({ status: "running" })
+    });
+    await runner.tick();
+    const retried = jobStore.getJob(job.jobId);
+    expect(retried.status).toBe("queued");
+    expect(retried.attempts).toBe(1);
+    jobStore.updateJob(job.jobId, { nextRunAt: 0 });
+    await runner.tick();
+    const failed = jobStore.getJob(job.jobId);
+    expect(failed.status).toBe("failed");
+    expect(failed.error).toBe("boom");
+  });
+
+  it("fails automatic retries of attachment jobs once the attachment link has expired", async () => {
+    const jobStore = createJobStore({});
+    const job = jobStore.createJob({
+      baseId: "base-1",
+      fileToken: "file-1",
+      request: { audioUrl: "https://example.feishu.cn/file-1" }
+    });
+    const link = jobStore.createJob({
+      baseId: "base-1",
+      fileToken: "https://example.com/v/1",
+      request: { sourceUrl: "https://example.com/v/1" }
+    });
+    const submitted = [];
+    const runner = createJobRunner({
+      jobStore,
+      attachmentUrlTtlMs: 1000,
+      submit: async (request) => {
+        submitted.push(request.fileToken);
+        return { taskId: `task-${submitted.length}` };
+      },
+      query: async () => ({ status: "running" })
+    });
+    [job, link].forEach((item) =>
+      jobStore.updateJob(item.jobId, { attempts: 1, urlIssuedAt: Date.now() - 5000, nextRunAt: 0 })
+    );
+    await runner.tick();
+    expect(jobStore.getJob(job.jobId)).toMatchObject({ status: "failed", error: attachmentUrlExpiredMessage });
+    expect(jobStore.getJob(link.jobId).status).toBe("submitted");
+    expect(submitted).toEqual(["https://example.com/v/1"]);
+  });
+});
@@ -0,0 +1,122 @@
+import { getLlmConfig } from "../config/llm.js";
+
+const insightPrompt = [
+  "你是会议与访谈记录助手。根据用户提供的转写文本，输出 JSON：",
+  '{"summary": "不超过 200 字的摘要", "keywords": ["关键词"], "actionItems": ["待办事项"]}',
+  "keywords 最多 8 个，actionItems 没有时返回空数组，只输出 JSON。"
+].join("\n");
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((item) => String(item ?? "").trim())
+    .filter(Boolean);
+
+export const parseInsights = (content) => {
+  const raw = String(content || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error("LLM 返回格式无效");
+  }
+  return {
+    summary: String(parsed?.summary ?? "").trim(),
+    keywords: toStringList(parsed?.keywords),
+    actionItems: toStringList(parsed?.actionItems ?? parsed?.action_items)
+  };
+};
+
+// OpenAI 兼容的 chat/completions 接口，可对接大多数云厂商与自建网关
+export const createChatClient = ({ baseUrl, apiKey, model, fetchImpl }) => {
+  const fetcher = fetchImpl || fetch;
+  const url = `${String(baseUrl || "").replace(/\/+$/, "")}/chat/completions`;
+
+  return async (messages) => {
+    const response = await fetcher(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: 0.2,
+        response_format: { type: "json_object" }
+      })
+    });
+    const responseJson = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(responseJson?.error?.message || `LLM 调用失败: ${response.status}`);
+    }
+    return responseJson?.choices?.[0]?.message?.content || "";
+  };
+};
+
+export const createOpenAiProvider = (config) => {
+  const chat = createChatClient(config);
+
+  const analyzeTranscript = async ({ text }) =>
+    parseInsights(
+      await chat([
+        { role: "system", content: insightPrompt },
+        { role: "user", content: text }
+      ])
+    );
+
+  return { name: "openai", analyzeTranscript };
+};
+
+const splitSentences = (text) =>
+  String(text || "")
+    .split(/(?<=[。！？!?.])\s*|\n+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// 本地规则实现，不访问网络，用于测试与未配置 LLM 的开发环境
+export const createStubProvider = () => {
+  const analyzeTranscript = async ({ text }) => {
+    const sentences = splitSentences(text);
+    const counts = new Map();
+    (String(text || "").match(/[\p{L}\p{N}]{2,}/gu) || []).forEach((word) => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+    const keywords = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([word]) => word);
+    return {
+      summary: sentences.slice(0, 2).join(""),
+      keywords,
+      actionItems: sentences.filter((sentence) => /需要|请|待办|跟进|负责|todo/i.test(sentence))
+    };
+  };
+
+  return { name: "stub", analyzeTranscript };
+};
+
+const providerFactories = {
+  openai: createOpenAiProvider,
+  stub: createStubProvider
+};
+
+export const createLlmProvider = (config = getLlmConfig()) => {
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error("缺少环境变量: LLM_PROVIDER");
+  }
+  if (config.provider === "openai" && !config.apiKey) {
+    throw new Error("缺少环境变量: LLM_API_KEY");
+  }
+  return factory(config);
+};
+
+export const generateInsights = async (text, provider = createLlmProvider()) => {
+  if (!String(text || "").trim()) {
+    return { summary: "", keywords: [], actionItems: [] };
+  }
+  return provider.analyzeTranscript({ text });
+};
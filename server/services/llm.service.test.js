@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { createLlmProvider, createOpenAiProvider, generateInsights, parseInsights } from "./llm.service.js";
+
+describe("llm providers", () => {
+  it("produces deterministic insights with the stub provider", async () => {
+    const provider = createLlmProvider({ provider: "stub" });
+    const insights = await generateInsights("项目进度正常。需要小王周五前提交报告。项目预算待确认。", provider);
+    expect(insights.summary).toBe("项目进度正常。需要小王周五前提交报告。");
+    expect(insights.actionItems).toEqual(["需要小王周五前提交报告。"]);
+    expect(insights.keywords.length).toBeGreaterThan(0);
+    expect(await generateInsights("  ", provider)).toEqual({ summary: "", keywords: [], actionItems: [] });
+  });
+
+  it("parses chat completion output from openai compatible providers", async () => {
+    let request;
+    const provider = createOpenAiProvider({
+      baseUrl: "https://llm.example.com/v1/",
+      apiKey: "key",
+      model: "demo",
+      fetchImpl: async (url, options) => {
+        request = { url, body: JSON.parse(options.body) };
+        return {
+          ok: true,
+          json: async () => ({
+            choices: [
+              { message: { content: '```json\n{"summary":"总结","keywords":["预算"],"action_items":["跟进"]}\n```' } }
+            ]
+          })
+        };
+      }
+    });
+    const insights = await provider.analyzeTranscript({ text: "原文" });
+    expect(request.url).toBe("https://llm.example.com/v1/chat/completions");
+    expect(request.body.model).toBe("demo");
+    expect(insights).toEqual({ summary: "总结", keywords: ["预算"], actionItems: ["跟进"] });
+    expect(() => parseInsights("not json")).toThrow("LLM 返回格式无效");
+    expect(() => createLlmProvider({ provider: "" })).toThrow("LLM_PROVIDER");
+  });
+});
@@ -0,0 +1,522 @@
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import dns from "node:dns";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import youtubedl from "youtube-dl-exec";
+import { ensureMediaConfig, getMediaConfig } from "../config/media.js";
+import { logEvent } from "../middleware/logger.js";
+
+const mediaIdPattern = /^[a-f0-9]{64}$/;
+const pendingDownloads = new Map();
+
+export const buildMediaId = (source) => crypto.createHash("sha256").update(String(source)).digest("hex");
+
+export const buildMediaSignature = (mediaId, expiresAt, secret) =>
+  crypto.createHmac("sha256", secret).update(`${mediaId}:${expiresAt}`).digest("hex");
+
+export const createSignedMediaUrl = (mediaId, { publicBaseUrl, signingSecret, urlTtlMs }, now = Date.now()) => {
+  const expiresAt = now + urlTtlMs;
+  const query = new URLSearchParams({
+    expires: String(expiresAt),
+    signature: buildMediaSignature(mediaId, expiresAt, signingSecret)
+  });
+  return `${publicBaseUrl.replace(/\/+$/, "")}/api/media/${mediaId}?${query}`;
+};
+
+export const verifyMediaSignature = ({ mediaId, expires, signature }, secret, now = Date.now()) => {
+  const expiresAt = Number(expires);
+  if (!mediaIdPattern.test(mediaId || "") || !Number.isFinite(expiresAt) || expiresAt < now || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(buildMediaSignature(mediaId, expiresAt, secret));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const findCachedFile = (cacheDir, mediaId, cacheTtlMs) => {
+  if (!fs.existsSync(cacheDir)) {
+    return null;
+  }
+  const fileName = fs.readdirSync(cacheDir).find((name) => name.startsWith(`${mediaId}.`) && !name.endsWith(".part"));
+  if (!fileName) {
+    return null;
+  }
+  const filePath = path.join(cacheDir, fileName);
+  if (Date.now() - fs.statSync(filePath).mtimeMs > cacheTtlMs) {
+    fs.rmSync(filePath, { force: true });
+    return null;
+  }
+  return filePath;
+};
+
+export const getMediaFile = (mediaId) => {
+  if (!mediaIdPattern.test(mediaId || "")) {
+    return null;
+  }
+  const { cacheDir, cacheTtlMs } = getMediaConfig();
+  return findCachedFile(cacheDir, mediaId, cacheTtlMs);
+};
+
+// 同一链接并发提交时只下载一次
+const withPendingDownload = (mediaId, download) => {
+  if (!pendingDownloads.has(mediaId)) {
+    pendingDownloads.set(
+      mediaId,
+      download().finally(() => pendingDownloads.delete(mediaId))
+    );
+  }
+  return pendingDownloads.get(mediaId);
+};
+
+const privateNetworks = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, "ipv6"));
+
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped || net.isIPv4(address)) {
+    return privateNetworks.check(mapped ? mapped[1] : address, "ipv4");
+  }
+  return net.isIPv6(address) ? privateNetworks.check(address, "ipv6") : true;
+};
+
+// 链接由用户填写，解析出的任一地址落在内网、回环或保留网段时拒绝，返回用于连接的地址
+const resolvePublicAddress = async (hostname, lookup = dns.promises.lookup) => {
+  let addresses;
+  try {
+    addresses = await lookup(hostname.replace(/^\[|\]$/g, ""), { all: true });
+  } catch {
+    throw new Error("链接域名无法解析");
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("不支持内网地址的链接");
+  }
+  return addresses[0].address;
+};
+
+const splitHostPort = (authority, defaultPort) => {
+  const { hostname, port } = new URL(`http://${authority}`);
+  return { hostname, port: Number(port) || defaultPort };
+};
+
+// yt-dlp 会自行解析域名并跟随跳转，提交前的检查无法约束它实际连接的地址。
+// 下载期间在本机回环地址上启动一个出口代理，yt-dlp 的每个请求（含跳转）都经由代理，
+// 代理逐个解析目标域名并直连校验过的地址，解析与连接之间不会被换成内网地址
+export const createEgressProxy = async ({ lookup = dns.promises.lookup } = {}) => {
+  const sockets = new Set();
+  const server = http.createServer(async (req, res) => {
+    let target;
+    let address;
+    try {
+      target = new URL(req.url);
+      if (target.protocol !== "http:") {
+        throw new Error("链接地址无效");
+      }
+      address = await resolvePublicAddress(target.hostname, lookup);
+    } catch (error) {
+      res.writeHead(403).end(error.message);
+      return;
+    }
+    const upstream = http.request(
+      {
+        host: address,
+        port: Number(target.port) || 80,
+        method: req.method,
+        path: `${target.pathname}${target.search}`,
+        headers: { ...req.headers, host: target.host },
+        setHost: false
+      },
+      (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+        upstreamRes.pipe(res);
+      }
+    );
+    upstream.on("error", () => res.destroy());
+    req.pipe(upstream);
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  server.on("connect", async (req, clientSocket, head) => {
+    clientSocket.on("error", () => clientSocket.destroy());
+    let target;
+    let address;
+    try {
+      target = splitHostPort(req.url, 443);
+      address = await resolvePublicAddress(target.hostname, lookup);
+    } catch (error) {
+      clientSocket.end(`HTTP/1.1 403 Forbidden\r\n\r\n${error.message}`);
+      return;
+    }
+    const upstream = net.connect(target.port, address, () => {
+      clientSocket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on("error", () => clientSocket.destroy());
+    clientSocket.on("close", () => upstream.destroy());
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      })
+  };
+};
+
+// 时长超限或无法获取时长（如直播）的视频会被过滤，不会下载
+const downloadLinkAudio = async (sourceUrl, mediaId, config) => {
+  const { cacheDir, downloadTimeoutMs, maxDownloadBytes, maxLinkDurationSec } = config;
+  await fs.promises.mkdir(cacheDir, { recursive: true });
+  const proxy = await createEgressProxy();
+  try {
+    await youtubedl(
+      sourceUrl,
+      {
+        output: path.join(cacheDir, `${mediaId}.%(ext)s`),
+        extractAudio: true,
+        audioFormat: "mp3",
+        noPlaylist: true,
+        noWarnings: true,
+        maxFilesize: String(maxDownloadBytes),
+        matchFilter: `duration < ${maxLinkDurationSec}`,
+        proxy: proxy.url,
+        // 外部下载器（如 ffmpeg 拉流）不一定走代理，统一使用 yt-dlp 自带的下载器
+        downloader: "native"
+      },
+      { timeout: downloadTimeoutMs, killSignal: "SIGKILL" }
+    );
+  } finally {
+    await proxy.close();
+  }
+  const filePath = findCachedFile(cacheDir, mediaId, Number.POSITIVE_INFINITY);
+  if (!filePath) {
+    throw new Error("链接音频下载失败");
+  }
+  return filePath;
+};
+
+// 解析视频链接为音频文件并缓存，返回可供火山引擎拉取的签名临时地址
+export const resolveLinkAudio = async (sourceUrl) => {
+  let parsed;
+  try {
+    parsed = new URL(sourceUrl);
+  } catch {
+    throw new Error("链接地址无效");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error("链接地址无效");
+  }
+  await resolvePublicAddress(parsed.hostname);
+  const config = ensureMediaConfig();
+  const mediaId = buildMediaId(parsed.toString());
+  const filePath = await withPendingDownload(mediaId, async () => {
+    const cached = findCachedFile(config.cacheDir, mediaId, config.cacheTtlMs);
+    if (cached) {
+      return cached;
+    }
+    try {
+      return await downloadLinkAudio(parsed.toString(), mediaId, config);
+    } catch (error) {
+      logEvent("error", { type: "media", source: parsed.host, message: error.stderr || error.message });
+      throw new Error("链接音频下载失败");
+    }
+  });
+  return {
+    mediaId,
+    audioUrl: createSignedMediaUrl(mediaId, config),
+    format: path.extname(filePath).slice(1)
+  };
+};
+
+export const buildAudioExtractArgs = (inputPath, outputPath) => [
+  "-hide_banner",
+  "-nostdin",
+  "-y",
+  "-i",
+  inputPath,
+  "-vn",
+  "-ac",
+  "1",
+  "-ar",
+  "16000",
+  "-c:a",
+  "libmp3lame",
+  "-b:a",
+  "48k",
+  outputPath
+];
+
+const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.env.FFMPEG_PATH || "ffmpeg", args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-2000);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      reject(new Error(stderr || `ffmpeg 退出码 ${code}`));
+    });
+  });
+
+export const isAllowedAttachmentHost = (hostname, allowedHosts) => {
+  const host = String(hostname || "").toLowerCase();
+  return allowedHosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+};
+
+const assertAttachmentUrl = (sourceUrl, allowedHosts) => {
+  let parsed;
+  try {
+    parsed = new URL(sourceUrl);
+  } catch {
+    throw new Error("附件地址无效");
+  }
+  if (parsed.protocol !== "https:" || !isAllowedAttachmentHost(parsed.hostname, allowedHosts)) {
+    throw new Error(`附件地址不在允许的域名内: ${parsed.host}`);
+  }
+  return parsed;
+};
+
+export const createByteLimiter = (maxBytes) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new Error(`附件超过 ${maxBytes} 字节上限`));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+const maxDownloadRedirects = 5;
+
+// 手动跟随跳转，每一跳都校验域名，避免被引导到内网地址；整个下载受超时与大小上限约束
+const openAttachmentDownload = async (sourceUrl, { attachmentHosts, downloadTimeoutMs, maxDownloadBytes }) => {
+  const signal = AbortSignal.timeout(downloadTimeoutMs);
+  let url = assertAttachmentUrl(sourceUrl, attachmentHosts);
+  let response;
+  for (let redirects = 0; ; redirects += 1) {
+    response = await fetch(url, { redirect: "manual", signal });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    if (redirects >= maxDownloadRedirects) {
+      throw new Error("附件下载跳转次数过多");
+    }
+    url = assertAttachmentUrl(new URL(location, url).toString(), attachmentHosts);
+  }
+  if (!response.ok || !response.body) {
+    throw new Error(`附件下载失败: ${response.status}`);
+  }
+  if (Number(response.headers.get("content-length")) > maxDownloadBytes) {
+    throw new Error(`附件超过 ${maxDownloadBytes} 字节上限`);
+  }
+  return { body: Readable.fromWeb(response.body), signal };
+};
+
+const downloadToFile = async (sourceUrl, filePath, config) => {
+  const { body, signal } = await openAttachmentDownload(sourceUrl, config);
+  await pipeline(body, createByteLimiter(config.maxDownloadBytes), fs.createWriteStream(filePath), { signal });
+};
+
+// 本服务签发且未过期的媒体地址返回对应的 mediaId，其他地址返回空字符串
+const parseSignedMediaUrl = (audioUrl, { publicBaseUrl, signingSecret }) => {
+  if (!publicBaseUrl || !signingSecret) {
+    return "";
+  }
+  const prefix = `${publicBaseUrl.replace(/\/+$/, "")}/api/media/`;
+  if (!String(audioUrl).startsWith(prefix)) {
+    return "";
+  }
+  const parsed = new URL(audioUrl);
+  const mediaId = parsed.pathname.split("/").pop();
+  const signature = { mediaId, expires: parsed.searchParams.get("expires"), signature: parsed.searchParams.get("signature") };
+  return verifyMediaSignature(signature, signingSecret) ? mediaId : "";
+};
+
+// 需要由本服务读取音频再上传的识别服务使用：签发的媒体地址直接读取缓存文件，
+// 其他地址与附件下载一样只允许飞书域名，并受超时与大小上限约束
+export const openAudioStream = async (audioUrl) => {
+  const config = getMediaConfig();
+  const mediaId = parseSignedMediaUrl(audioUrl, config);
+  if (mediaId) {
+    const filePath = getMediaFile(mediaId);
+    if (!filePath) {
+      throw new Error("音频缓存已失效");
+    }
+    return fs.createReadStream(filePath);
+  }
+  const { body } = await openAttachmentDownload(audioUrl, config);
+  const limiter = createByteLimiter(config.maxDownloadBytes);
+  body.on("error", (error) => limiter.destroy(error));
+  return body.pipe(limiter);
+};
+
+// 临时文件放在子目录中，避免未完成的文件被当作缓存命中
+const extractAttachmentAudio = async (audioUrl, mediaId, config) => {
+  const { cacheDir } = config;
+  const workDir = path.join(cacheDir, "tmp");
+  await fs.promises.mkdir(workDir, { recursive: true });
+  const sourcePath = path.join(workDir, `${mediaId}.source`);
+  const outputPath = path.join(workDir, `${mediaId}.mp3`);
+  try {
+    await downloadToFile(audioUrl, sourcePath, config);
+    await runFfmpeg(buildAudioExtractArgs(sourcePath, outputPath));
+    const filePath = path.join(cacheDir, `${mediaId}.mp3`);
+    await fs.promises.rename(outputPath, filePath);
+    return filePath;
+  } finally {
+    await fs.promises.rm(sourcePath, { force: true });
+    await fs.promises.rm(outputPath, { force: true });
+  }
+};
+
+// 下载附件并剥离视频轨，转为 16k 单声道音频后以签名临时地址提供；
+// 缓存按租户隔离，其他租户无法用同一 fileToken 搭配伪造地址污染缓存
+export const prepareAttachmentAudio = async ({ audioUrl, fileToken, baseId }) => {
+  const config = ensureMediaConfig();
+  const mediaId = buildMediaId(fileToken ? `attachment:${baseId || ""}:${fileToken}` : audioUrl);
+  await withPendingDownload(mediaId, async () => {
+    const cached = findCachedFile(config.cacheDir, mediaId, config.cacheTtlMs);
+    if (cached) {
+      return cached;
+    }
+    try {
+      return await extractAttachmentAudio(audioUrl, mediaId, config);
+    } catch (error) {
+      logEvent("error", { type: "media", message: error.message });
+      throw new Error("音频预处理失败");
+    }
+  });
+  return { mediaId, audioUrl: createSignedMediaUrl(mediaId, config), format: "mp3" };
+};
+
+export const probeDurationMs = (filePath) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(
+      process.env.FFPROBE_PATH || "ffprobe",
+      ["-v", "error", "-show_entries", "format=duration", "-of", "default=noprint_wrappers=1:nokey=1", filePath],
+      { stdio: ["ignore", "pipe", "ignore"] }
+    );
+    let stdout = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      const seconds = Number.parseFloat(stdout.trim());
+      if (code !== 0 || !Number.isFinite(seconds)) {
+        reject(new Error("无法读取音频时长"));
+        return;
+      }
+      resolve(Math.round(seconds * 1000));
+    });
+  });
+
+export const buildAudioSliceArgs = (inputPath, outputPath, { offsetMs, durationMs }) => [
+  "-hide_banner",
+  "-nostdin",
+  "-y",
+  "-ss",
+  (offsetMs / 1000).toFixed(3),
+  "-t",
+  (durationMs / 1000).toFixed(3),
+  "-i",
+  inputPath,
+  "-vn",
+  "-ac",
+  "1",
+  "-ar",
+  "16000",
+  "-c:a",
+  "libmp3lame",
+  "-b:a",
+  "48k",
+  outputPath
+];
+
+// 按切分计划截取缓存音频，每段单独缓存并生成签名地址
+export const sliceMediaAudio = async (mediaId, segments) => {
+  const config = ensureMediaConfig();
+  const filePath = findCachedFile(config.cacheDir, mediaId, config.cacheTtlMs);
+  if (!filePath) {
+    throw new Error("音频缓存已失效");
+  }
+  const workDir = path.join(config.cacheDir, "tmp");
+  await fs.promises.mkdir(workDir, { recursive: true });
+  const slices = [];
+  for (const segment of segments) {
+    const sliceId = buildMediaId(`${mediaId}:${segment.offsetMs}:${segment.durationMs}`);
+    await withPendingDownload(sliceId, async () => {
+      const cached = findCachedFile(config.cacheDir, sliceId, config.cacheTtlMs);
+      if (cached) {
+        return cached;
+      }
+      const outputPath = path.join(workDir, `${sliceId}.mp3`);
+      try {
+        await runFfmpeg(buildAudioSliceArgs(filePath, outputPath, segment));
+        const slicePath = path.join(config.cacheDir, `${sliceId}.mp3`);
+        await fs.promises.rename(outputPath, slicePath);
+        return slicePath;
+      } finally {
+        await fs.promises.rm(outputPath, { force: true });
+      }
+    });
+    slices.push({ ...segment, audioUrl: createSignedMediaUrl(sliceId, config), format: "mp3" });
+  }
+  return slices;
+};
+
+export const pruneMediaCache = () => {
+  const { cacheDir, cacheTtlMs } = getMediaConfig();
+  if (!fs.existsSync(cacheDir)) {
+    return 0;
+  }
+  let removed = 0;
+  fs.readdirSync(cacheDir).forEach((name) => {
+    const filePath = path.join(cacheDir, name);
+    const stats = fs.statSync(filePath);
+    if (stats.isFile() && Date.now() - stats.mtimeMs > cacheTtlMs) {
+      fs.rmSync(filePath, { force: true });
+      removed += 1;
+    }
+  });
+  return removed;
+};
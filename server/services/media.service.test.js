@@ -0,0 +1,130 @@
+import { describe, expect, it, vi } from "vitest";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { Readable, Writable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import {
+  buildAudioExtractArgs,
+  buildMediaId,
+  createByteLimiter,
+  createEgressProxy,
+  createSignedMediaUrl,
+  isAllowedAttachmentHost,
+  isPrivateAddress,
+  openAudioStream,
+  resolveLinkAudio,
+  verifyMediaSignature
+} from "./media.service.js";
+
+describe("media helpers", () => {
+  it("signs temporary media urls and rejects tampered or expired ones", () => {
+    const mediaId = buildMediaId("https://video.example.com/watch?v=1");
+    const config = { publicBaseUrl: "https://api.example.com/", signingSecret: "secret", urlTtlMs: 60000 };
+    const url = new URL(createSignedMediaUrl(mediaId, config, 1000));
+    expect(url.pathname).toBe(`/api/media/${mediaId}`);
+    const params = {
+      mediaId,
+      expires: url.searchParams.get("expires"),
+      signature: url.searchParams.get("signature")
+    };
+    expect(verifyMediaSignature(params, "secret", 2000)).toBe(true);
+    expect(verifyMediaSignature(params, "other", 2000)).toBe(false);
+    expect(verifyMediaSignature(params, "secret", 62000)).toBe(false);
+    expect(verifyMediaSignature({ ...params, expires: "99999999" }, "secret", 2000)).toBe(false);
+    expect(verifyMediaSignature({ ...params, mediaId: "../etc" }, "secret", 2000)).toBe(false);
+  });
+
+  it("strips video to mono 16k audio", () => {
+    const args = buildAudioExtractArgs("in.mp4", "out.mp3");
+    expect(args.slice(args.indexOf("-i"), args.indexOf("-i") + 2)).toEqual(["-i", "in.mp4"]);
+    expect(args).toContain("-vn");
+    expect(args.slice(args.indexOf("-ac"), args.indexOf("-ac") + 4)).toEqual(["-ac", "1", "-ar", "16000"]);
+    expect(args[args.length - 1]).toBe("out.mp3");
+  });
+
+  it("only downloads attachments from allowed hosts within the size limit", async () => {
+    const hosts = ["feishu.cn", "larksuite.com"];
+    expect(isAllowedAttachmentHost("internal-api-drive-stream.feishu.cn", hosts)).toBe(true);
+    expect(isAllowedAttachmentHost("LARKSUITE.COM", hosts)).toBe(true);
+    expect(isAllowedAttachmentHost("feishu.cn.evil.com", hosts)).toBe(false);
+    expect(isAllowedAttachmentHost("127.0.0.1", hosts)).toBe(false);
+
+    const download = (sizes) =>
+      pipeline(
+        Readable.from(sizes.map((size) => Buffer.alloc(size))),
+        createByteLimiter(8),
+        new Writable({ write: (chunk, encoding, callback) => callback() })
+      );
+    await expect(download([4, 4])).resolves.toBe(undefined);
+    await expect(download([4, 5])).rejects.toThrow("8 字节上限");
+  });
+
+  it("opens signed media from the cache and refuses audio urls outside the attachment hosts", async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "transcribe-media-"));
+    vi.stubEnv("PUBLIC_BASE_URL", "https://api.example.com");
+    vi.stubEnv("MEDIA_SIGNING_SECRET", "secret");
+    vi.stubEnv("MEDIA_CACHE_DIR", cacheDir);
+    try {
+      const mediaId = buildMediaId("attachment:base-1:file-1");
+      fs.writeFileSync(path.join(cacheDir, `${mediaId}.mp3`), "audio");
+      const config = { publicBaseUrl: "https://api.example.com", signingSecret: "secret", urlTtlMs: 60000 };
+      const chunks = [];
+      for await (const chunk of await openAudioStream(createSignedMediaUrl(mediaId, config))) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe("audio");
+
+      const forged = createSignedMediaUrl(mediaId, { ...config, signingSecret: "other" });
+      await expect(openAudioStream(forged)).rejects.toThrow("不在允许的域名内");
+      await expect(openAudioStream("http://169.254.169.254/latest/meta-data")).rejects.toThrow("不在允许的域名内");
+      await expect(openAudioStream("https://127.0.0.1/a.mp3")).rejects.toThrow("不在允许的域名内");
+    } finally {
+      vi.unstubAllEnvs();
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects links that resolve to private or loopback addresses", async () => {
+    const privateAddresses = ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254"];
+    [...privateAddresses, "::1", "fd00::1", "::ffff:127.0.0.1"].forEach((address) =>
+      expect(isPrivateAddress(address)).toBe(true)
+    );
+    ["8.8.8.8", "172.32.0.1", "2001:4860:4860::8888"].forEach((address) => expect(isPrivateAddress(address)).toBe(false));
+    await expect(resolveLinkAudio("http://127.0.0.1:8080/video")).rejects.toThrow("内网地址");
+    await expect(resolveLinkAudio("http://[::1]/video")).rejects.toThrow("内网地址");
+  });
+
+  it("refuses proxied connections whose host resolves to a private address at connect time", async () => {
+    const lookup = vi.fn(async (hostname) => [{ address: hostname === "video.example.com" ? "10.0.0.5" : hostname, family: 4 }]);
+    const proxy = await createEgressProxy({ lookup });
+    const { port } = new URL(proxy.url);
+    try {
+      const tunnelStatus = await new Promise((resolve, reject) => {
+        http
+          .request({ host: "127.0.0.1", port, method: "CONNECT", path: "video.example.com:443" })
+          .on("connect", (res, socket) => {
+            socket.destroy();
+            resolve(res.statusCode);
+          })
+          .on("error", reject)
+          .end();
+      });
+      expect(tunnelStatus).toBe(403);
+
+      const plainStatus = await new Promise((resolve, reject) => {
+        http
+          .get({ host: "127.0.0.1", port, path: "http://127.0.0.1:8080/latest/meta-data" }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+          })
+          .on("error", reject);
+      });
+      expect(plainStatus).toBe(403);
+      expect(lookup).toHaveBeenCalledWith("video.example.com", { all: true });
+    } finally {
+      await proxy.close();
+    }
+  });
+});
@@ -110,7 +110,7 @@ export const buildAlipayPageParams = ({ order, plan, config }) => {
       out_trade_no: order.orderId,
       product_code: "FAST_INSTANT_TRADE_PAY",
       total_amount: totalText,
-      subject: `${plan?.label || "订阅"}套餐`
+      subject: plan?.type === "topup" ? `余额${plan.label}` : `${plan?.label || "订阅"}套餐`
     })
   };
 };
@@ -140,3 +140,126 @@ export const buildAlipayPageHtml = ({ gateway, params }) => {
     gateway
   )}">${inputs}</form><script>document.getElementById('alipayForm').submit();</script></body></html>`;
 };
+
+// 支付宝响应签名针对原始报文中的业务响应片段，重新序列化可能改变转义，需从原文截取
+export const extractAlipayResponseContent = (text, method) => {
+  const key = `"${method.replaceAll(".", "_")}_response":`;
+  const start = text.indexOf(key);
+  const end = text.lastIndexOf(',"sign":');
+  if (start < 0 || end < start) {
+    return "";
+  }
+  return text.slice(start + key.length, end).trim();
+};
+
+const alipayTradeStates = {
+  WAIT_BUYER_PAY: "pending",
+  TRADE_SUCCESS: "paid",
+  TRADE_FINISHED: "paid",
+  TRADE_CLOSED: "closed"
+};
+
+// 查单结果统一为 paid / pending / closed / missing，missing 表示该渠道没有这笔交易
+export const queryAlipayTrade = async ({ orderId, config, publicKey, fetchImpl = fetch }) => {
+  const method = "alipay.trade.query";
+  const params = {
+    app_id: config.appId,
+    method,
+    format: "JSON",
+    charset: "utf-8",
+    sign_type: "RSA2",
+    timestamp: buildAlipayTimestamp(),
+    version: "1.0",
+    biz_content: JSON.stringify({ out_trade_no: orderId })
+  };
+  const sign = signAlipayParams({ params, privateKey: config.privateKey });
+  const response = await fetchImpl(config.gateway, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded;charset=utf-8" },
+    body: new URLSearchParams({ ...params, sign }).toString()
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`支付宝查单失败: ${response.status}`);
+  }
+  const parsed = JSON.parse(text);
+  if (publicKey) {
+    const verifier = crypto.createVerify("RSA-SHA256");
+    verifier.update(extractAlipayResponseContent(text, method));
+    verifier.end();
+    if (!parsed.sign || !verifier.verify(publicKey, parsed.sign, "base64")) {
+      throw new Error("支付宝查单响应验签失败");
+    }
+  }
+  const result = parsed.alipay_trade_query_response || {};
+  if (result.code !== "10000") {
+    if (result.sub_code === "ACQ.TRADE_NOT_EXIST") {
+      return { state: "missing" };
+    }
+    throw new Error(result.sub_msg || result.msg || "支付宝查单失败");
+  }
+  const paidAt = result.send_pay_date ? Date.parse(result.send_pay_date) : Date.now();
+  return {
+    state: alipayTradeStates[result.trade_status] || "pending",
+    paidAt: Number.isFinite(paidAt) ? paidAt : Date.now(),
+    amount: Number(result.total_amount)
+  };
+};
+
+export const buildWechatAuthorization = ({ method, url, body = "", config, timestamp, nonce }) => {
+  const message = `${method}\n${url}\n${timestamp}\n${nonce}\n${body}\n`;
+  const signer = crypto.createSign("RSA-SHA256");
+  signer.update(message);
+  signer.end();
+  const signature = signer.sign(config.privateKey, "base64");
+  return `WECHATPAY2-SHA256-RSA2048 mchid="${config.mchId}",nonce_str="${nonce}",signature="${signature}",timestamp="${timestamp}",serial_no="${config.serialNo}"`;
+};
+
+const wechatTradeStates = {
+  SUCCESS: "paid",
+  NOTPAY: "pending",
+  USERPAYING: "pending",
+  CLOSED: "closed",
+  REVOKED: "closed",
+  PAYERROR: "closed"
+};
+
+export const queryWechatTransaction = async ({ orderId, config, fetchImpl = fetch }) => {
+  const url = `/v3/pay/transactions/out-trade-no/${encodeURIComponent(orderId)}?mchid=${encodeURIComponent(config.mchId)}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const response = await fetchImpl(`${config.apiBase}${url}`, {
+    method: "GET",
+    headers: {
+      Accept: "application/json",
+      Authorization: buildWechatAuthorization({ method: "GET", url, config, timestamp, nonce })
+    }
+  });
+  const text = await response.text();
+  const parsed = text ? JSON.parse(text) : {};
+  if (response.status === 404 && parsed.code === "ORDER_NOT_EXIST") {
+    return { state: "missing" };
+  }
+  if (!response.ok) {
+    throw new Error(parsed.message || `微信支付查单失败: ${response.status}`);
+  }
+  if (config.publicKey) {
+    const verified = verifyWechatSignature({
+      publicKey: config.publicKey,
+      signature: response.headers.get("wechatpay-signature"),
+      timestamp: response.headers.get("wechatpay-timestamp"),
+      nonce: response.headers.get("wechatpay-nonce"),
+      body: text
+    });
+    if (!verified) {
+      throw new Error("微信支付查单响应验签失败");
+    }
+  }
+  const paidAt = parsed.success_time ? Date.parse(parsed.success_time) : Date.now();
+  return {
+    state: wechatTradeStates[parsed.trade_state] || "pending",
+    paidAt: Number.isFinite(paidAt) ? paidAt : Date.now(),
+    // 微信支付金额单位为分
+    amount: Number(parsed.amount?.total) / 100
+  };
+};
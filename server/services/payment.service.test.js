@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import crypto from "node:crypto";
+import {
+  buildAlipayPageParams,
+  buildWechatSignatureMessage,
+  normalizeAlipayPrivateKey,
+  signAlipayParams,
+  verifyAlipaySignature,
+  verifyWechatSignature
+} from "./payment.service.js";
+
+describe("alipay helpers", () => {
+  it("normalizeAlipayPrivateKey restores line breaks", () => {
+    const raw = "line1\\nline2\\nline3";
+    expect(normalizeAlipayPrivateKey(raw)).toBe("line1\nline2\nline3");
+  });
+
+  it("signAlipayParams matches verifyAlipaySignature", () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const publicPem = publicKey.export({ type: "pkcs1", format: "pem" });
+    const privatePem = privateKey.export({ type: "pkcs1", format: "pem" });
+    const params = buildAlipayPageParams({
+      order: { orderId: "order-1", price: 9.9 },
+      plan: { label: "月度" },
+      config: {
+        appId: "app-1",
+        notifyUrl: "https://example.com/notify",
+        returnUrl: "https://example.com/return",
+        gateway: "https://openapi.alipay.com/gateway.do"
+      }
+    });
+    const sign = signAlipayParams({ params, privateKey: privatePem });
+    const ok = verifyAlipaySignature({ publicKey: publicPem, payload: { ...params, sign } });
+    expect(ok).toBe(true);
+  });
+});
+
+describe("payment verify helpers", () => {
+  it("verifyWechatSignature checks signature", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const publicPem = publicKey.export({ type: "pkcs1", format: "pem" });
+    const privatePem = privateKey.export({ type: "pkcs1", format: "pem" });
+    
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const body = JSON.stringify({ resource: { ciphertext: "..." } });
+    
+    const message = buildWechatSignatureMessage({ timestamp, nonce, body });
+    const signer = crypto.createSign("RSA-SHA256");
+    signer.update(message);
+    const signature = signer.sign(privatePem, "base64");
+    
+    const ok = verifyWechatSignature({
+      publicKey: publicPem,
+      signature,
+      timestamp,
+      nonce,
+      body
+    });
+    expect(ok).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+import { getRateLimitConfig } from "../config/volcengine.js";
+
+let volcengineLimiter;
+
+export const createRateLimitError = (retryAfterMs) => {
+  const error = new Error("请求过于频繁，请稍后重试");
+  error.status = 429;
+  error.retryAfterMs = Math.max(1000, Math.ceil(retryAfterMs));
+  return error;
+};
+
+// 令牌桶限流，排队请求按租户轮转出队，单个租户的大批量任务不会阻塞其他租户。
+// 预计等待超过 maxWaitMs 时直接拒绝，由调用方按 retryAfterMs 重试
+export const createRateLimiter = ({ ratePerSecond, burst = ratePerSecond, maxWaitMs, now = Date.now }) => {
+  const queues = new Map();
+  let tokens = burst;
+  let refilledAt = now();
+  let timer = null;
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(burst, tokens + ((current - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = current;
+  };
+
+  // 轮转出队时，新请求前面最多排着每个租户与自己同样多的请求
+  const estimateWaitMs = (key) => {
+    const ownLength = (queues.get(key)?.length || 0) + 1;
+    let ahead = 0;
+    queues.forEach((queue, queueKey) => {
+      ahead += queueKey === key ? ownLength : Math.min(queue.length, ownLength);
+    });
+    return (Math.max(0, ahead - tokens) / ratePerSecond) * 1000;
+  };
+
+  const drain = () => {
+    refill();
+    while (tokens >= 1 && queues.size > 0) {
+      const [key, queue] = queues.entries().next().value;
+      const entry = queue.shift();
+      // 取出后移到队尾，实现租户间轮转
+      queues.delete(key);
+      if (queue.length > 0) {
+        queues.set(key, queue);
+      }
+      tokens -= 1;
+      Promise.resolve().then(entry.task).then(entry.resolve, entry.reject);
+    }
+    if (queues.size > 0 && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      timer.unref?.();
+    }
+  };
+
+  const schedule = (key, task) => {
+    refill();
+    const queueKey = key || "";
+    const waitMs = estimateWaitMs(queueKey);
+    if (waitMs > maxWaitMs) {
+      return Promise.reject(createRateLimitError(waitMs));
+    }
+    return new Promise((resolve, reject) => {
+      if (!queues.has(queueKey)) {
+        queues.set(queueKey, []);
+      }
+      queues.get(queueKey).push({ task, resolve, reject });
+      drain();
+    });
+  };
+
+  return { schedule };
+};
+
+export const getVolcengineLimiter = () => {
+  if (!volcengineLimiter) {
+    volcengineLimiter = createRateLimiter(getRateLimitConfig());
+  }
+  return volcengineLimiter;
+};
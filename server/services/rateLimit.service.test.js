@@ -0,0 +1,26 @@
+import { describe, expect, it, vi } from "vitest";
+import { createRateLimiter } from "./rateLimit.service.js";
+
+describe("rate limiter", () => {
+  it("rotates queued calls across tenants and rejects calls that would wait too long", async () => {
+    vi.useFakeTimers();
+    try {
+      const limiter = createRateLimiter({ ratePerSecond: 1, burst: 1, maxWaitMs: 2500 });
+      const order = [];
+      const run = (key, label) => limiter.schedule(key, async () => order.push(label));
+      const pending = [run("a", "a1"), run("a", "a2"), run("a", "a3")];
+      const rejected = run("a", "a4").catch((error) => error);
+      pending.push(run("b", "b1"));
+
+      const error = await rejected;
+      expect(error.status).toBe(429);
+      expect(error.retryAfterMs).toBe(3000);
+
+      await vi.advanceTimersByTimeAsync(3000);
+      await Promise.all(pending);
+      expect(order).toEqual(["a1", "a2", "b1", "a3"]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
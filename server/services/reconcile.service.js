@@ -0,0 +1,141 @@
+import { getReconcileConfig, getWechatPayConfig } from "../config/payment.js";
+import { logEvent } from "../middleware/logger.js";
+import { finalizePaidOrder } from "./billing.service.js";
+import { getAlipayConfig, queryAlipayTrade, queryWechatTransaction } from "./payment.service.js";
+import { getStores } from "./store.service.js";
+
+let orderReconciler;
+
+const isAmountMatched = (amount, price) => Math.round(Number(amount) * 100) === Math.round(Number(price) * 100);
+
+// 支付通知丢失时主动查单补开通；记录了支付渠道的订单只查该渠道，
+// 渠道未知时查询全部渠道，任一渠道已支付即开通，没有渠道待支付且有渠道已关闭时才关单
+export const createOrderReconciler = ({
+  orderStore,
+  channels = [],
+  finalize,
+  intervalMs = 5 * 60 * 1000,
+  minAgeMs = 60 * 1000,
+  maxAgeMs = 2 * 24 * 60 * 60 * 1000
+}) => {
+  let timer = null;
+  let running = null;
+
+  const reconcileOrder = async (order) => {
+    const targets = order.channel ? channels.filter((channel) => channel.name === order.channel) : channels;
+    const states = [];
+    for (const channel of targets) {
+      const result = await channel.query(order.orderId);
+      if (result.state === "paid") {
+        // 金额不符时不开通，订单标记为失败等待人工处理
+        if (!isAmountMatched(result.amount, order.price)) {
+          orderStore.updateOrder(order.orderId, { status: "failed" });
+          throw new Error(`${channel.name} 实付金额 ${result.amount} 与订单金额 ${order.price} 不符`);
+        }
+        const finalized = finalize({ orderId: order.orderId, paidAt: result.paidAt });
+        if (!finalized.ok) {
+          throw new Error(finalized.message || "开通失败");
+        }
+        return "paid";
+      }
+      states.push(result.state);
+    }
+    if (!states.includes("pending") && states.includes("closed")) {
+      orderStore.updateOrder(order.orderId, { status: "closed" });
+      return "closed";
+    }
+    return "pending";
+  };
+
+  const runOnce = async () => {
+    const now = Date.now();
+    const orders = channels.length
+      ? orderStore
+          .listOrders({ status: "pending" })
+          .filter((order) => now - order.createdAt >= minAgeMs && now - order.createdAt <= maxAgeMs)
+      : [];
+    const summary = { checked: 0, paid: 0, closed: 0, failed: [] };
+    // 逐单查询，避免触发支付渠道的频率限制
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        const state = await reconcileOrder(order);
+        if (state === "paid" || state === "closed") {
+          summary[state] += 1;
+          logEvent("info", { type: "reconcile", orderId: order.orderId, state });
+        }
+      } catch (error) {
+        summary.failed.push({ orderId: order.orderId, message: error.message });
+        logEvent("error", { type: "reconcile", orderId: order.orderId, message: error.message });
+      }
+    }
+    return summary;
+  };
+
+  // 定时任务与管理接口可能同时触发，共用进行中的一轮
+  const reconcile = () => {
+    if (!running) {
+      running = runOnce().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (timer || !channels.length) {
+      return;
+    }
+    timer = setInterval(() => {
+      reconcile().catch((error) => logEvent("error", { type: "reconcile", message: error.message }));
+    }, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { reconcile, start, stop };
+};
+
+const buildChannels = () => {
+  const channels = [];
+  const alipayConfig = getAlipayConfig();
+  if (alipayConfig) {
+    const publicKey = process.env.ALIPAY_PUBLIC_KEY || "";
+    channels.push({
+      name: "alipay",
+      query: (orderId) => queryAlipayTrade({ orderId, config: alipayConfig, publicKey })
+    });
+  }
+  const wechatConfig = getWechatPayConfig();
+  if (wechatConfig) {
+    channels.push({
+      name: "wechat",
+      query: (orderId) => queryWechatTransaction({ orderId, config: wechatConfig })
+    });
+  }
+  return channels;
+};
+
+export const initOrderReconciler = () => {
+  const { orderStore } = getStores();
+  orderReconciler = createOrderReconciler({
+    orderStore,
+    channels: buildChannels(),
+    finalize: finalizePaidOrder,
+    ...getReconcileConfig()
+  });
+  return orderReconciler;
+};
+
+export const getOrderReconciler = () => {
+  if (!orderReconciler) {
+    throw new Error("Order reconciler not initialized");
+  }
+  return orderReconciler;
+};
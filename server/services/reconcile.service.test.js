@@ -0,0 +1,192 @@
+import { describe, expect, it, vi } from "vitest";
+import crypto from "node:crypto";
+import http from "node:http";
+import {
+  buildWechatSignatureMessage,
+  queryAlipayTrade,
+  queryWechatTransaction,
+  verifyAlipaySignature
+} from "./payment.service.js";
+import { createOrderStore } from "../stores/order.js";
+import { createOrderReconciler } from "./reconcile.service.js";
+
+describe("order reconciliation", () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const publicPem = publicKey.export({ type: "pkcs1", format: "pem" });
+  const privatePem = privateKey.export({ type: "pkcs1", format: "pem" });
+
+  // 本地模拟支付宝网关与微信支付 v3 接口：校验请求签名，并用同一密钥对响应签名
+  const startMockGateway = (trades, requests) =>
+    new Promise((resolve) => {
+      const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          const url = new URL(req.url, "http://127.0.0.1");
+          if (req.method === "POST" && url.pathname === "/gateway.do") {
+            const params = Object.fromEntries(new URLSearchParams(body));
+            requests.push(`alipay:${params.method}`);
+            if (!verifyAlipaySignature({ publicKey: publicPem, payload: params })) {
+              res.writeHead(400).end();
+              return;
+            }
+            const { out_trade_no: orderId } = JSON.parse(params.biz_content);
+            const tradeStatus = trades.alipay[orderId];
+            const content = JSON.stringify(
+              tradeStatus
+                ? {
+                    code: "10000",
+                    msg: "Success",
+                    out_trade_no: orderId,
+                    trade_status: tradeStatus,
+                    total_amount: String(trades.amounts?.[orderId] ?? "1.00"),
+                    send_pay_date: "2026-01-02 03:04:05"
+                  }
+                : { code: "40004", msg: "Business Failed", sub_code: "ACQ.TRADE_NOT_EXIST", sub_msg: "交易不存在" }
+            );
+            const sign = crypto.sign("RSA-SHA256", Buffer.from(content), privatePem).toString("base64");
+            res.setHeader("Content-Type", "application/json");
+            res.end(`{"alipay_trade_query_response":${content},"sign":"${sign}"}`);
+            return;
+          }
+          const match = url.pathname.match(/^\/v3\/pay\/transactions\/out-trade-no\/(.+)$/);
+          if (req.method === "GET" && match) {
+            requests.push("wechat");
+            const auth = Object.fromEntries(
+              Array.from((req.headers.authorization || "").matchAll(/(\w+)="([^"]*)"/g), ([, key, value]) => [key, value])
+            );
+            const signed = crypto.verify(
+              "RSA-SHA256",
+              Buffer.from(`GET\n${req.url}\n${auth.timestamp}\n${auth.nonce_str}\n\n`),
+              publicPem,
+              Buffer.from(auth.signature || "", "base64")
+            );
+            if (!signed || auth.mchid !== "mch-1" || url.searchParams.get("mchid") !== "mch-1") {
+              res.writeHead(401).end();
+              return;
+            }
+            const orderId = decodeURIComponent(match[1]);
+            const tradeState = trades.wechat[orderId];
+            const payload = tradeState
+              ? {
+                  out_trade_no: orderId,
+                  trade_state: tradeState,
+                  amount: { total: Math.round((trades.amounts?.[orderId] ?? 1) * 100) },
+                  success_time: "2026-01-02T03:04:05+08:00"
+                }
+              : { code: "ORDER_NOT_EXIST", message: "订单不存在" };
+            const responseBody = JSON.stringify(payload);
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const nonce = crypto.randomBytes(8).toString("hex");
+            const message = buildWechatSignatureMessage({ timestamp, nonce, body: responseBody });
+            const signature = crypto.sign("RSA-SHA256", Buffer.from(message), privatePem).toString("base64");
+            res.writeHead(tradeState ? 200 : 404, {
+              "Content-Type": "application/json",
+              "Wechatpay-Timestamp": timestamp,
+              "Wechatpay-Nonce": nonce,
+              "Wechatpay-Signature": signature
+            });
+            res.end(responseBody);
+            return;
+          }
+          res.writeHead(404).end();
+        });
+      });
+      server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+
+  const withGateway = async (trades, fn) => {
+    const requests = [];
+    const server = await startMockGateway(trades, requests);
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    try {
+      return await fn({
+        requests,
+        alipayConfig: { appId: "app-1", privateKey: privatePem, gateway: `${origin}/gateway.do` },
+        wechatConfig: { mchId: "mch-1", serialNo: "serial-1", privateKey: privatePem, publicKey: publicPem, apiBase: origin }
+      });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+
+  it("queries alipay and wechat orders with signed requests", async () => {
+    const trades = { alipay: { "order-1": "TRADE_SUCCESS" }, wechat: { "order-2": "NOTPAY" } };
+    await withGateway(trades, async ({ alipayConfig, wechatConfig }) => {
+      const paid = await queryAlipayTrade({ orderId: "order-1", config: alipayConfig, publicKey: publicPem });
+      expect(paid.state).toBe("paid");
+      expect(paid.paidAt).toBe(Date.parse("2026-01-02 03:04:05"));
+      expect(await queryAlipayTrade({ orderId: "order-2", config: alipayConfig, publicKey: publicPem })).toEqual({
+        state: "missing"
+      });
+      expect((await queryWechatTransaction({ orderId: "order-2", config: wechatConfig })).state).toBe("pending");
+      expect(await queryWechatTransaction({ orderId: "order-1", config: wechatConfig })).toEqual({ state: "missing" });
+      await expect(
+        queryWechatTransaction({ orderId: "order-2", config: { ...wechatConfig, mchId: "mch-2" } })
+      ).rejects.toThrow("微信支付查单失败: 401");
+    });
+  });
+
+  it("activates pending orders whose payment notification was lost", async () => {
+    const orderStore = createOrderStore({});
+    const createPendingOrder = (channel) => {
+      const { orderId } = orderStore.createOrder({ baseId: "base-1", planId: "monthly", price: 1 });
+      orderStore.updateOrder(orderId, { channel });
+      return orderId;
+    };
+    const alipayPaid = createPendingOrder("alipay");
+    const unknownChannelPaid = createPendingOrder("");
+    const closed = createPendingOrder("alipay");
+    const waiting = createPendingOrder("alipay");
+    const underpaid = createPendingOrder("wechat");
+    const alreadyPaid = orderStore.createOrder({ baseId: "base-1", planId: "monthly", price: 1 }).orderId;
+    orderStore.updateOrder(alreadyPaid, { status: "paid" });
+    const trades = {
+      alipay: {
+        [alipayPaid]: "TRADE_SUCCESS",
+        [unknownChannelPaid]: "TRADE_CLOSED",
+        [closed]: "TRADE_CLOSED",
+        [waiting]: "WAIT_BUYER_PAY"
+      },
+      wechat: { [unknownChannelPaid]: "SUCCESS", [underpaid]: "SUCCESS" },
+      amounts: { [underpaid]: 0.01 }
+    };
+    await withGateway(trades, async ({ requests, alipayConfig, wechatConfig }) => {
+      const finalize = vi.fn(({ orderId, paidAt }) => {
+        orderStore.updateOrder(orderId, { status: "paid", paidAt });
+        return { ok: true };
+      });
+      const reconciler = createOrderReconciler({
+        orderStore,
+        channels: [
+          {
+            name: "alipay",
+            query: (orderId) => queryAlipayTrade({ orderId, config: alipayConfig, publicKey: publicPem })
+          },
+          {
+            name: "wechat",
+            query: (orderId) => queryWechatTransaction({ orderId, config: wechatConfig })
+          }
+        ],
+        finalize,
+        minAgeMs: 0
+      });
+      const [summary, concurrent] = await Promise.all([reconciler.reconcile(), reconciler.reconcile()]);
+      expect(concurrent).toBe(summary);
+      expect(summary).toMatchObject({ checked: 5, paid: 2, closed: 1 });
+      expect(summary.failed).toEqual([{ orderId: underpaid, message: "wechat 实付金额 0.01 与订单金额 1 不符" }]);
+      expect(requests.filter((item) => item.startsWith("alipay"))).toHaveLength(4);
+      expect(requests.filter((item) => item === "wechat")).toHaveLength(2);
+      expect(finalize.mock.calls.map(([params]) => params.orderId).sort()).toEqual(
+        [alipayPaid, unknownChannelPaid].sort()
+      );
+      expect(orderStore.getOrder(closed).status).toBe("closed");
+      expect(orderStore.getOrder(waiting).status).toBe("pending");
+      expect(orderStore.getOrder(underpaid).status).toBe("failed");
+
+      expect(await reconciler.reconcile()).toEqual({ checked: 1, paid: 0, closed: 0, failed: [] });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import zlib from "node:zlib";
+
+export const reportFormats = ["csv", "xlsx"];
+
+export const reportColumns = [
+  { key: "recordId", label: "记录ID" },
+  { key: "fileName", label: "文件名" },
+  { key: "format", label: "格式" },
+  { key: "durationSeconds", label: "时长(秒)", numeric: true },
+  { key: "billedMinutes", label: "计费分钟", numeric: true },
+  { key: "billedCost", label: "费用", numeric: true },
+  { key: "status", label: "状态" },
+  { key: "errorCode", label: "错误码" },
+  { key: "logId", label: "logId" }
+];
+
+const statusLabels = {
+  queued: "排队中",
+  submitted: "已提交",
+  running: "识别中",
+  done: "完成",
+  written: "已写入",
+  failed: "失败",
+  skipped: "跳过"
+};
+
+// 火山引擎错误以 "[状态码] 描述" 的形式透传，其余错误没有错误码
+export const extractErrorCode = (message = "") => String(message).match(/^\[(\d+)\]/)?.[1] || "";
+
+const toReportRow = ({ recordId, fileName, format, durationMs, billedMinutes, billedCost, status, error, logId }) => ({
+  recordId: recordId || "",
+  fileName: fileName || "",
+  format: format || "",
+  durationSeconds: Number(durationMs) > 0 ? Number((Number(durationMs) / 1000).toFixed(1)) : "",
+  billedMinutes: billedMinutes ?? "",
+  billedCost: billedCost ?? "",
+  status: statusLabels[status] || status || "",
+  errorCode: extractErrorCode(error),
+  logId: logId || ""
+});
+
+// 前台任务的明细记在运行记录里，后台任务的明细记在各自的任务上
+export const buildRunReportRows = (run, jobs = []) => [
+  ...Object.values(run?.items || {}).map(toReportRow),
+  ...jobs.map((job) =>
+    toReportRow({
+      recordId: job.recordId,
+      fileName: job.fileName,
+      format: job.request?.format,
+      durationMs: job.result?.durationMs || job.request?.durationMs,
+      billedMinutes: job.result?.billedMinutes,
+      billedCost: job.result?.billedCost,
+      status: job.status,
+      error: job.error,
+      logId: job.logId
+    })
+  )
+];
+
+// 以公式字符开头的文本在表格软件中会被执行，导出前加单引号转义
+const escapeFormula = (value) => (/^[=+\-@]/.test(value) ? `'${value}` : value);
+
+const escapeCsvCell = (value) => {
+  const text = typeof value === "number" ? String(value) : escapeFormula(String(value ?? ""));
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const buildCsv = (rows) => {
+  const lines = [
+    reportColumns.map((column) => escapeCsvCell(column.label)).join(","),
+    ...rows.map((row) => reportColumns.map((column) => escapeCsvCell(row[column.key])).join(","))
+  ];
+  // 带 BOM 以便 Excel 正确识别中文
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+};
+
+const crcTable = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 最小 ZIP 写入：每个文件单独 deflate，不支持 ZIP64，报表体积远小于 4GB
+export const buildZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, "utf-8");
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf-8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+const getColumnName = (index) => {
+  let name = "";
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    name = String.fromCharCode(65 + ((value - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const buildSheetCell = (value, column, ref) => {
+  if (column?.numeric && typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? "")}</t></is></c>`;
+};
+
+const buildSheetXml = (rows) => {
+  const headerCells = reportColumns.map((column, index) => buildSheetCell(column.label, null, `${getColumnName(index)}1`));
+  const bodyRows = rows.map((row, rowIndex) => {
+    const cells = reportColumns.map((column, index) =>
+      buildSheetCell(row[column.key], column, `${getColumnName(index)}${rowIndex + 2}`)
+    );
+    return `<row r="${rowIndex + 2}">${cells.join("")}</row>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    `<sheetData><row r="1">${headerCells.join("")}</row>${bodyRows.join("")}</sheetData>`,
+    "</worksheet>"
+  ].join("");
+};
+
+export const buildXlsx = (rows, sheetName = "报表") =>
+  buildZip([
+    {
+      name: "[Content_Types].xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        "</Types>"
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>"
+    },
+    {
+      name: "xl/workbook.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>"
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        "</Relationships>"
+    },
+    { name: "xl/worksheets/sheet1.xml", content: buildSheetXml(rows) }
+  ]);
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import zlib from "node:zlib";
+import { buildCsv, buildRunReportRows, buildXlsx, crc32 } from "./report.service.js";
+
+describe("run report", () => {
+  const run = {
+    items: {
+      "rec-1:f1": {
+        recordId: "rec-1",
+        fileName: "=cmd.mp3",
+        format: "mp3",
+        durationMs: 61500,
+        billedMinutes: 2,
+        billedCost: 0.5,
+        status: "written",
+        error: "",
+        logId: "log-1"
+      },
+      "rec-2:f2": { recordId: "rec-2", fileName: "a,b.wav", status: "failed", error: "[45000151] 音频格式错误" }
+    }
+  };
+  const jobs = [
+    {
+      recordId: "rec-3",
+      fileName: "c.m4a",
+      request: { format: "m4a", durationMs: 1000 },
+      result: { durationMs: 2000, billedMinutes: 1, billedCost: 0.25 },
+      status: "done",
+      error: "",
+      logId: "log-3"
+    }
+  ];
+
+  it("builds rows from run items and background jobs as csv", () => {
+    const rows = buildRunReportRows(run, jobs);
+    expect(rows.map((row) => [row.recordId, row.status, row.errorCode])).toEqual([
+      ["rec-1", "已写入", ""],
+      ["rec-2", "失败", "45000151"],
+      ["rec-3", "完成", ""]
+    ]);
+    expect(rows[2]).toMatchObject({ format: "m4a", durationSeconds: 2, billedMinutes: 1, billedCost: 0.25 });
+    const lines = buildCsv(rows).replace(/^\uFEFF/, "").trim().split("\r\n");
+    expect(lines[0]).toBe("记录ID,文件名,格式,时长(秒),计费分钟,费用,状态,错误码,logId");
+    expect(lines[1]).toBe("rec-1,'=cmd.mp3,mp3,61.5,2,0.5,已写入,,log-1");
+    expect(lines[2]).toBe('rec-2,"a,b.wav",,,,,失败,45000151,');
+  });
+
+  it("writes an xlsx zip whose entries inflate back to the sheet", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+    const buffer = buildXlsx(buildRunReportRows(run, jobs));
+    const entries = {};
+    for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50; ) {
+      const compressedSize = buffer.readUInt32LE(offset + 18);
+      const nameLength = buffer.readUInt16LE(offset + 26);
+      const name = buffer.subarray(offset + 30, offset + 30 + nameLength).toString("utf-8");
+      const dataStart = offset + 30 + nameLength;
+      const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+      expect(crc32(data)).toBe(buffer.readUInt32LE(offset + 14));
+      entries[name] = data.toString("utf-8");
+      offset = dataStart + compressedSize;
+    }
+    expect(Object.keys(entries)).toContain("[Content_Types].xml");
+    const sheet = entries["xl/worksheets/sheet1.xml"];
+    expect(sheet).toContain('<c r="D2"><v>61.5</v></c>');
+    expect(sheet).toContain("a,b.wav");
+    expect(sheet).toContain('<c r="I4" t="inlineStr"><is><t xml:space="preserve">log-3</t></is></c>');
+  });
+});
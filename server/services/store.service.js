@@ -1,83 +1,48 @@
-import fs from "node:fs";
 import crypto from "node:crypto";
+import { getStorageConfig } from "../config/storage.js";
+import { createStorage } from "../storage/index.js";
+import { createAsrTaskStore } from "../stores/asrTask.js";
 import { createBillingStore } from "../stores/billing.js";
+import { createCallbackStore } from "../stores/callback.js";
+import { createChunkStore } from "../stores/chunk.js";
+import { createJobStore } from "../stores/job.js";
+import { createOrderStore } from "../stores/order.js";
+import { createRunStore } from "../stores/run.js";
+import { createSettingStore } from "../stores/setting.js";
+import { createTaskMetaStore } from "../stores/taskMeta.js";
+import { createVocabularyStore } from "../stores/vocabulary.js";
+import { createWalletStore } from "../stores/wallet.js";
 import {
   createSubscriptionStore,
   mergeRedeemCodes,
   parsePaidBaseIds
 } from "../stores/subscription.js";
+import { publishJobEvent, toJobEvent, toRunItemEvent } from "./event.service.js";
 import { seedAdminBaseIds, seedRedeemCodeList, defaultPricing } from "../config/constants.js";
 
 let subscriptionStore;
 let billingStore;
-let storeData;
-
-const readStore = (storePath) => {
-  if (!storePath || !fs.existsSync(storePath)) {
-    return {
-      paidUntilByBaseId: {},
-      adminBaseIdList: [],
-      redeemCodes: [],
-      pricingByBaseId: {},
-      usageByBaseId: {},
-      dailyUsageByBaseId: {}
-    };
-  }
-  try {
-    const raw = fs.readFileSync(storePath, "utf-8");
-    const parsed = JSON.parse(raw || "{}");
-    return {
-      paidUntilByBaseId: parsed.paidUntilByBaseId || {},
-      adminBaseIdList: parsed.adminBaseIdList || [],
-      redeemCodes: parsed.redeemCodes || [],
-      pricingByBaseId: parsed.pricingByBaseId || {},
-      usageByBaseId: parsed.usageByBaseId || {},
-      dailyUsageByBaseId: parsed.dailyUsageByBaseId || {}
-    };
-  } catch {
-    return {
-      paidUntilByBaseId: {},
-      adminBaseIdList: [],
-      redeemCodes: [],
-      pricingByBaseId: {},
-      usageByBaseId: {},
-      dailyUsageByBaseId: {}
-    };
-  }
-};
-
-const createWriteStore = (storePath, cache) => {
-  let pendingWrite = Promise.resolve();
-  return (data) => {
-    if (!storePath) {
-      return;
-    }
-    cache.paidUntilByBaseId = data.paidUntilByBaseId ?? cache.paidUntilByBaseId ?? {};
-    cache.adminBaseIdList = data.adminBaseIdList ?? cache.adminBaseIdList ?? [];
-    cache.redeemCodes = data.redeemCodes ?? cache.redeemCodes ?? [];
-    cache.pricingByBaseId = data.pricingByBaseId ?? cache.pricingByBaseId ?? {};
-    cache.usageByBaseId = data.usageByBaseId ?? cache.usageByBaseId ?? {};
-    cache.dailyUsageByBaseId = data.dailyUsageByBaseId ?? cache.dailyUsageByBaseId ?? {};
-    const payload = JSON.stringify(cache, null, 2);
-    pendingWrite = pendingWrite
-      .then(() => fs.promises.writeFile(storePath, payload, "utf-8"))
-      .catch((error) => {
-        console.error(error);
-      });
-  };
-};
+let chunkStore;
+let asrTaskStore;
+let taskMetaStore;
+let callbackStore;
+let orderStore;
+let walletStore;
+let jobStore;
+let runStore;
+let settingStore;
+let vocabularyStore;
+let storage;
 
 export const initStores = () => {
   const env = process.env.NODE_ENV || "development";
-  const storePath = process.env.SUBSCRIPTION_STORE_PATH || "";
-  const trialLimit = Number.parseInt(process.env.TRIAL_LIMIT || "3", 10);
+  const trialMinutes = Number.parseInt(process.env.TRIAL_MINUTES || "30", 10);
   const allowBypass = env !== "production" && process.env.SUBSCRIPTION_BYPASS === "true";
   const paidBaseIds = parsePaidBaseIds(process.env.PAID_BASE_IDS || "");
   const adminBaseIds = parsePaidBaseIds(process.env.ADMIN_BASE_IDS || "");
 
-  const storeCache = readStore(storePath);
-  const writeStore = createWriteStore(storePath, storeCache);
-  storeData = storeCache;
+  storage = createStorage(getStorageConfig());
+  const storeData = storage.load();
 
   const mergedAdminBaseIds = new Set([
     ...(adminBaseIds || new Set()),
@@ -95,29 +60,135 @@ export const initStores = () => {
   const mergedRedeemCodes = mergeRedeemCodes(storeData.redeemCodes, seedRedeemCodes);
 
   subscriptionStore = createSubscriptionStore({
-    trialLimit,
+    trialMinutes,
     paidBaseIds,
     adminBaseIds: mergedAdminBaseIds,
     allowBypass,
     paidUntilByBaseId: storeData.paidUntilByBaseId,
     redeemCodes: mergedRedeemCodes,
-    onPersist: writeStore
+    trialUsageByBaseId: storeData.trialUsageByBaseId,
+    storage
   });
 
   billingStore = createBillingStore({
     pricingByBaseId: storeData.pricingByBaseId,
     usageByBaseId: storeData.usageByBaseId,
     dailyUsageByBaseId: storeData.dailyUsageByBaseId,
+    billingTasksById: storeData.billingTasksById,
     defaultPricing,
-    onPersist: writeStore
+    storage
+  });
+
+  chunkStore = createChunkStore({
+    chunkTasksById: storeData.chunkTasksById,
+    storage
   });
 
-  return { subscriptionStore, billingStore };
+  asrTaskStore = createAsrTaskStore({
+    asrTasksById: storeData.asrTasksById,
+    storage
+  });
+
+  taskMetaStore = createTaskMetaStore({
+    taskMetaById: storeData.taskMetaById,
+    storage
+  });
+
+  callbackStore = createCallbackStore({
+    callbackTasksById: storeData.callbackTasksById,
+    callbackResultsById: storeData.callbackResultsById,
+    storage
+  });
+
+  orderStore = createOrderStore({
+    ordersById: storeData.ordersById,
+    storage
+  });
+
+  walletStore = createWalletStore({
+    walletBalanceByBaseId: storeData.walletBalanceByBaseId,
+    walletLedgerById: storeData.walletLedgerById,
+    storage
+  });
+
+  jobStore = createJobStore({
+    jobsById: storeData.jobsById,
+    storage,
+    onStatusChange: (job) => publishJobEvent(job.baseId, job.status, toJobEvent(job))
+  });
+
+  runStore = createRunStore({
+    runsById: storeData.runsById,
+    runItemsById: storeData.runItemsById,
+    storage,
+    onItemStatusChange: (run, item) => publishJobEvent(run.baseId, item.status, toRunItemEvent(run, item))
+  });
+
+  settingStore = createSettingStore({
+    settingsByBaseId: storeData.settingsByBaseId,
+    storage
+  });
+
+  vocabularyStore = createVocabularyStore({
+    vocabularyByBaseId: storeData.vocabularyByBaseId,
+    storage
+  });
+
+  return {
+    subscriptionStore,
+    billingStore,
+    chunkStore,
+    asrTaskStore,
+    taskMetaStore,
+    callbackStore,
+    orderStore,
+    walletStore,
+    jobStore,
+    runStore,
+    settingStore,
+    vocabularyStore
+  };
 };
 
 export const getStores = () => {
-  if (!subscriptionStore || !billingStore) {
+  if (
+    !subscriptionStore ||
+    !billingStore ||
+    !chunkStore ||
+    !asrTaskStore ||
+    !taskMetaStore ||
+    !callbackStore ||
+    !orderStore ||
+    !walletStore ||
+    !jobStore ||
+    !runStore ||
+    !settingStore ||
+    !vocabularyStore
+  ) {
+    throw new Error("Stores not initialized");
+  }
+  return {
+    subscriptionStore,
+    billingStore,
+    chunkStore,
+    asrTaskStore,
+    taskMetaStore,
+    callbackStore,
+    orderStore,
+    walletStore,
+    jobStore,
+    runStore,
+    settingStore,
+    vocabularyStore
+  };
+};
+
+// 跨多个 store 的修改需要一起提交时使用
+export const runInTransaction = (fn) => {
+  if (!storage) {
     throw new Error("Stores not initialized");
   }
-  return { subscriptionStore, billingStore };
+  return storage.transaction(fn);
 };
+
+export const closeStores = () => storage?.close();
@@ -0,0 +1,51 @@
+export const subtitleFormats = ["srt", "vtt"];
+
+const pad = (value, size = 2) => String(value).padStart(size, "0");
+
+export const formatSubtitleTimestamp = (ms, separator = ",") => {
+  const total = Math.max(0, Math.round(Number(ms) || 0));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+export const buildSrt = (utterances = []) => {
+  return utterances
+    .map((item, index) => {
+      const start = formatSubtitleTimestamp(item.start_time, ",");
+      const end = formatSubtitleTimestamp(item.end_time, ",");
+      return `${index + 1}\n${start} --> ${end}\n${item.text}`;
+    })
+    .join("\n\n");
+};
+
+export const buildVtt = (utterances = []) => {
+  const cues = utterances.map((item) => {
+    const start = formatSubtitleTimestamp(item.start_time, ".");
+    const end = formatSubtitleTimestamp(item.end_time, ".");
+    return `${start} --> ${end}\n${item.text}`;
+  });
+  return ["WEBVTT", ...cues].join("\n\n");
+};
+
+export const buildSubtitle = (utterances, format) => {
+  if (format === "srt") {
+    return buildSrt(utterances);
+  }
+  if (format === "vtt") {
+    return buildVtt(utterances);
+  }
+  return "";
+};
+
+// 双语字幕每条先原文后译文
+export const buildBilingualSubtitle = (utterances, translations, format) =>
+  buildSubtitle(
+    utterances.map((item, index) => ({
+      ...item,
+      text: translations[index] ? `${item.text}\n${translations[index]}` : item.text
+    })),
+    format
+  );
@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { buildSrt, buildVtt, formatSubtitleTimestamp } from "./subtitle.service.js";
+
+describe("subtitle helpers", () => {
+  const utterances = [
+    { text: "你好", start_time: 0, end_time: 1500 },
+    { text: "world", start_time: 3723004, end_time: 3725000 }
+  ];
+
+  it("formatSubtitleTimestamp pads hours and millis", () => {
+    expect(formatSubtitleTimestamp(3723004)).toBe("01:02:03,004");
+    expect(formatSubtitleTimestamp(3723004, ".")).toBe("01:02:03.004");
+  });
+
+  it("buildSrt numbers cues", () => {
+    expect(buildSrt(utterances)).toBe(
+      "1\n00:00:00,000 --> 00:00:01,500\n你好\n\n2\n01:02:03,004 --> 01:02:05,000\nworld"
+    );
+  });
+
+  it("buildVtt adds header", () => {
+    expect(buildVtt(utterances)).toBe(
+      "WEBVTT\n\n00:00:00.000 --> 00:00:01.500\n你好\n\n01:02:03.004 --> 01:02:05.000\nworld"
+    );
+  });
+});
@@ -0,0 +1,357 @@
+import crypto from "node:crypto";
+import { getAsrConfig } from "../config/asr.js";
+import { getMediaConfig } from "../config/media.js";
+import { countSpeakers, formatSpeakerText } from "../volcengineClient.js";
+import { normalizeBaseId } from "../stores/subscription.js";
+import { logEvent } from "../middleware/logger.js";
+import { getAsrProvider, getProviderNameForTask, isQuotaError } from "./asr.service.js";
+import {
+  discardBillingTask,
+  ensureSubscriptionAllowed,
+  ensureWalletBalance,
+  recordUsageOnce,
+  trackBillingTask
+} from "./billing.service.js";
+import { buildChunkPlan, createChunkTaskId, isChunkTaskId, mergeChunkResults } from "./chunk.service.js";
+import { generateInsights } from "./llm.service.js";
+import {
+  getMediaFile,
+  prepareAttachmentAudio,
+  probeDurationMs,
+  resolveLinkAudio,
+  sliceMediaAudio
+} from "./media.service.js";
+import { getStores } from "./store.service.js";
+import { buildBilingualSubtitle, buildSubtitle } from "./subtitle.service.js";
+import { translateTexts } from "./translation.service.js";
+import { applyReplacements, applyReplacementsToUtterances } from "./vocabulary.service.js";
+
+// 显式指定 > 租户默认 > 环境变量默认
+const resolveProviderName = ({ provider, baseId }) => {
+  if (provider) {
+    return provider;
+  }
+  const { settingStore } = getStores();
+  return settingStore.getSettings(baseId).asrProvider || getAsrConfig().defaultProvider;
+};
+
+// 主服务额度耗尽时切换到备用服务，返回实际使用的服务名
+const submitWithFallback = async (providerName, params) => {
+  try {
+    return { providerName, ...(await getAsrProvider(providerName).submit(params)) };
+  } catch (error) {
+    const { fallbackProvider } = getAsrConfig();
+    if (!fallbackProvider || fallbackProvider === providerName || !isQuotaError(error.message)) {
+      throw error;
+    }
+    logEvent("info", { type: "asr_fallback", from: providerName, to: fallbackProvider });
+    return { providerName: fallbackProvider, ...(await getAsrProvider(fallbackProvider).submit(params)) };
+  }
+};
+
+const resolveMedia = async ({ audioUrl, sourceUrl, preprocessMedia, fileToken, format, durationMs, baseId }) => {
+  if (sourceUrl) {
+    return resolveLinkAudio(sourceUrl);
+  }
+  // 超长音频需要在本地切分，即使未开启预处理也先下载转码
+  if (preprocessMedia || Number(durationMs) > getMediaConfig().chunkThresholdMs) {
+    return prepareAttachmentAudio({ audioUrl, fileToken, baseId });
+  }
+  return { audioUrl, format };
+};
+
+const planChunks = async (media, durationMs) => {
+  if (!media.mediaId) {
+    return null;
+  }
+  const { chunkThresholdMs, chunkMs, chunkOverlapMs } = getMediaConfig();
+  let totalMs = Number(durationMs) || 0;
+  try {
+    totalMs = await probeDurationMs(getMediaFile(media.mediaId));
+  } catch (error) {
+    logEvent("error", { type: "media", message: error.message });
+  }
+  if (!(totalMs > chunkThresholdMs)) {
+    return null;
+  }
+  return sliceMediaAudio(media.mediaId, buildChunkPlan(totalMs, { chunkMs, overlapMs: chunkOverlapMs }));
+};
+
+const toChunkPart = (chunk, submitted) => ({
+  providerName: submitted.providerName,
+  taskId: submitted.taskId,
+  logId: submitted.logId,
+  offsetMs: chunk.offsetMs,
+  durationMs: chunk.durationMs
+});
+
+// 分段并行提交，合并时依赖分句时间戳校正偏移；
+// 部分分段失败时记录已提交的分段，同一音频以相同参数重试时只补交失败的分段
+const submitChunks = async ({ providerName, media, chunks, params }) => {
+  const { chunkStore } = getStores();
+  const paramsKey = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ providerName, ...params }))
+    .digest("hex");
+  const reusable = chunkStore.takePartialParts({ mediaId: media.mediaId, paramsKey });
+  const findReusable = (chunk) =>
+    reusable.find((part) => part.offsetMs === chunk.offsetMs && part.durationMs === chunk.durationMs);
+  const settled = await Promise.allSettled(
+    chunks.map(async (chunk) => {
+      const reused = findReusable(chunk);
+      if (reused) {
+        return reused;
+      }
+      const submitted = await submitWithFallback(providerName, { ...params, audioUrl: chunk.audioUrl, format: chunk.format });
+      return toChunkPart(chunk, submitted);
+    })
+  );
+  const parts = settled.filter((item) => item.status === "fulfilled").map((item) => item.value);
+  const rejected = settled.find((item) => item.status === "rejected");
+  if (rejected) {
+    chunkStore.savePartialParts({ mediaId: media.mediaId, paramsKey, parts });
+    logEvent("error", {
+      type: "asr_chunk_submit",
+      submitted: parts.length,
+      total: chunks.length,
+      message: rejected.reason?.message
+    });
+    throw rejected.reason;
+  }
+  const taskId = createChunkTaskId();
+  chunkStore.saveChunkTask(taskId, parts);
+  return { taskId, logId: parts[0]?.logId || "" };
+};
+
+export const submitTranscription = async ({
+  audioUrl,
+  sourceUrl,
+  preprocessMedia,
+  fileToken,
+  provider,
+  format,
+  language,
+  modelVersion,
+  enableItn,
+  enablePunc,
+  enableDdc,
+  showUtterances,
+  enableSpeakerInfo,
+  baseId,
+  durationMs
+}) => {
+  ensureSubscriptionAllowed({ baseId, durationMs });
+  ensureWalletBalance({ baseId, durationMs });
+  const providerName = resolveProviderName({ provider, baseId });
+  const normalizedBaseId = normalizeBaseId(baseId);
+  const { hotwords, replacements } = getStores().vocabularyStore.getVocabulary(baseId);
+  // 视频链接与需要预处理的附件先转为音频，再以签名临时地址交给识别服务拉取
+  const media = await resolveMedia({
+    audioUrl,
+    sourceUrl,
+    preprocessMedia,
+    fileToken,
+    format,
+    durationMs,
+    baseId: normalizedBaseId
+  });
+  const chunks = await planChunks(media, durationMs);
+  const buildParams = (target, forceUtterances) => ({
+    audioUrl: target.audioUrl,
+    format: target.format,
+    language,
+    modelVersion,
+    enableItn,
+    enablePunc,
+    enableDdc,
+    showUtterances: forceUtterances || showUtterances,
+    enableSpeakerInfo: Boolean(enableSpeakerInfo),
+    hotwords,
+    baseId: normalizedBaseId
+  });
+
+  let result;
+  if (chunks) {
+    result = await submitChunks({ providerName, media, chunks, params: buildParams({}, true) });
+  } else {
+    result = await submitWithFallback(providerName, buildParams(media, false));
+  }
+
+  // 替换规则与热词取自同一份词表，查询时按提交时的租户与规则处理结果
+  getStores().taskMetaStore.saveTaskMeta(result.taskId, { baseId: normalizedBaseId, replacements });
+
+  if (normalizedBaseId && result.taskId) {
+    const parsedDuration = Number(durationMs);
+    trackBillingTask(result.taskId, {
+      baseId: normalizedBaseId,
+      charged: false,
+      durationMs: Number.isFinite(parsedDuration) ? parsedDuration : undefined
+    });
+  }
+
+  return { taskId: result.taskId, logId: result.logId };
+};
+
+const pendingDerivations = new Map();
+
+// 摘要、译文等派生结果按任务只生成一次并随任务保存，重复查询与续跑直接复用；
+// 并发查询共用同一次生成，生成失败时不保存，下次查询重新生成
+const deriveOnce = (taskId, key, build) => {
+  const cached = getStores().taskMetaStore.getDerived(taskId, key);
+  if (cached !== null) {
+    return Promise.resolve(cached);
+  }
+  const pendingKey = `${taskId}:${key}`;
+  if (!pendingDerivations.has(pendingKey)) {
+    const pending = build()
+      .then((value) => {
+        getStores().taskMetaStore.saveDerived(taskId, key, value);
+        return value;
+      })
+      .finally(() => pendingDerivations.delete(pendingKey));
+    pendingDerivations.set(pendingKey, pending);
+  }
+  return pendingDerivations.get(pendingKey);
+};
+
+// 摘要失败不影响转写结果，错误随结果返回由前端提示
+const buildInsights = async (taskId, text) => {
+  try {
+    return { insights: await deriveOnce(taskId, "insights", () => generateInsights(text)) };
+  } catch (error) {
+    logEvent("error", { type: "insights", message: error.message });
+    return { insightError: error.message || "摘要生成失败" };
+  }
+};
+
+// 有时间戳时逐句翻译生成双语字幕，译文正文为逐句译文拼接；
+// 译文按任务与目标语言保存，字幕格式不同时复用同一份逐句译文
+const buildTranslation = async (taskId, text, utterances, { subtitleFormat, targetLanguage }) => {
+  try {
+    if (subtitleFormat && utterances.length > 0) {
+      const translations = await deriveOnce(taskId, `translation:${targetLanguage}:utterances`, () =>
+        translateTexts(utterances.map((item) => item.text), targetLanguage)
+      );
+      return {
+        translation: {
+          text: translations.join("\n"),
+          subtitle: buildBilingualSubtitle(utterances, translations, subtitleFormat)
+        }
+      };
+    }
+    const translated = await deriveOnce(taskId, `translation:${targetLanguage}:text`, async () => {
+      const [result] = await translateTexts([text], targetLanguage);
+      return result || "";
+    });
+    return { translation: { text: translated } };
+  } catch (error) {
+    logEvent("error", { type: "translation", message: error.message });
+    return { translationError: error.message || "翻译失败" };
+  }
+};
+
+// 提交时记录的替换规则优先；没有记录时按待计费任务所属的租户读取，不使用查询方传入的 baseId
+const resolveTaskReplacements = (taskId) => {
+  const { billingStore, taskMetaStore, vocabularyStore } = getStores();
+  const meta = taskMetaStore.getTaskMeta(taskId);
+  if (meta) {
+    return meta.replacements || [];
+  }
+  const baseId = billingStore.billingTasks.get(taskId)?.baseId;
+  return baseId ? vocabularyStore.getVocabulary(baseId).replacements : [];
+};
+
+const buildDoneResult = async (
+  { taskId, text: rawText, utterances: rawUtterances, durationMs, language, logId },
+  { subtitleFormat, withSpeakers, withInsights, targetLanguage }
+) => {
+  // 计费会删除待计费任务，替换规则需在计费前确定
+  const replacements = resolveTaskReplacements(taskId);
+  const usage = recordUsageOnce({ taskId, durationMs });
+  // 替换规则作用于识别原文与分句，字幕、说话人文本与摘要都基于替换后的结果
+  const text = applyReplacements(rawText, replacements);
+  const utterances = applyReplacementsToUtterances(rawUtterances, replacements);
+  const speakerCount = countSpeakers(utterances);
+  return {
+    status: "done",
+    text: withSpeakers && speakerCount > 0 ? formatSpeakerText(utterances) : text,
+    utterances,
+    speakerCount,
+    subtitle: subtitleFormat ? buildSubtitle(utterances, subtitleFormat) : undefined,
+    ...(withInsights ? await buildInsights(taskId, text) : {}),
+    ...(targetLanguage ? await buildTranslation(taskId, text, utterances, { subtitleFormat, targetLanguage }) : {}),
+    durationMs,
+    language: language || undefined,
+    // 只有首次查询到完成结果时计费，重复查询不再返回计费信息
+    ...(usage ? { billedMinutes: usage.billedMinutes, billedCost: usage.billedCost } : {}),
+    logId
+  };
+};
+
+const queryChunkedTranscription = async (taskId, options) => {
+  const { chunkStore } = getStores();
+  const chunkTask = chunkStore.getChunkTask(taskId);
+  if (!chunkTask) {
+    discardBillingTask(taskId);
+    return { status: "failed", message: "分段任务不存在或已过期" };
+  }
+  const parts = await Promise.all(
+    chunkTask.parts.map(async (part) => {
+      if (part.result || part.error) {
+        return part;
+      }
+      const provider = getAsrProvider(part.providerName || getProviderNameForTask(part.taskId));
+      const result = await provider.query({ taskId: part.taskId, logId: part.logId, baseId: options.baseId });
+      const next = { ...part, logId: result.logId || part.logId };
+      if (result.status === "done") {
+        next.result = { text: result.text, utterances: result.utterances, language: result.language };
+      } else if (result.status === "failed") {
+        next.error = result.message;
+      }
+      return next;
+    })
+  );
+  // 已完成分段的结果随任务保存，重启后不必重新查询
+  if (parts.some((part, index) => part !== chunkTask.parts[index])) {
+    chunkStore.updateChunkParts(taskId, parts);
+  }
+  const logId = parts[0]?.logId || "";
+  const failed = parts.find((part) => part.error);
+  if (failed) {
+    discardBillingTask(taskId);
+    return { status: "failed", message: failed.error, logId: failed.logId };
+  }
+  if (!parts.every((part) => part.result)) {
+    return { status: "running", logId };
+  }
+  const merged = mergeChunkResults(parts.map((part) => ({ ...part, ...part.result })));
+  const language = parts.find((part) => part.result.language)?.result.language;
+  return buildDoneResult({ taskId, ...merged, language, logId }, options);
+};
+
+export const queryTranscription = async ({
+  taskId,
+  logId,
+  baseId,
+  subtitleFormat,
+  withSpeakers,
+  withInsights,
+  targetLanguage
+}) => {
+  const options = { baseId, subtitleFormat, withSpeakers, withInsights, targetLanguage };
+  if (isChunkTaskId(taskId)) {
+    return queryChunkedTranscription(taskId, options);
+  }
+  const result = await getAsrProvider(getProviderNameForTask(taskId)).query({
+    taskId,
+    logId,
+    baseId: normalizeBaseId(baseId)
+  });
+  if (result.status === "done") {
+    return buildDoneResult({ taskId, ...result }, options);
+  }
+  if (result.status === "failed") {
+    discardBillingTask(taskId);
+  }
+  return result;
+};
@@ -0,0 +1,103 @@
+import { describe, expect, it, vi } from "vitest";
+import { createChunkTaskId } from "./chunk.service.js";
+import { closeStores, getStores, initStores } from "./store.service.js";
+import { queryTranscription } from "./transcribe.service.js";
+
+describe("transcription results", () => {
+  const withStores = async (fn) => {
+    vi.stubEnv("STORE_DRIVER", "sqlite");
+    vi.stubEnv("STORE_SQLITE_PATH", ":memory:");
+    initStores();
+    try {
+      await fn(getStores());
+    } finally {
+      closeStores();
+      vi.unstubAllEnvs();
+    }
+  };
+
+  // 分段都已有结果的分段任务不会再查询识别服务，便于直接检查结果的处理
+  const saveFinishedTask = (chunkStore, text) => {
+    const taskId = createChunkTaskId();
+    chunkStore.saveChunkTask(taskId, [
+      { taskId: "part-1", offsetMs: 0, durationMs: 60000, result: { text, utterances: [] } }
+    ]);
+    return taskId;
+  };
+
+  it("applies the replacement rules of the base the task was submitted for", async () => {
+    await withStores(async ({ chunkStore, taskMetaStore, vocabularyStore }) => {
+      vocabularyStore.addReplacement("base-1", { from: "非书", to: "飞书" });
+      vocabularyStore.addReplacement("base-2", { from: "非书", to: "菲书" });
+      const taskId = saveFinishedTask(chunkStore, "打开非书");
+      taskMetaStore.saveTaskMeta(taskId, {
+        baseId: "base-1",
+        replacements: vocabularyStore.getVocabulary("base-1").replacements
+      });
+      vocabularyStore.addReplacement("base-1", { from: "打开", to: "关闭" });
+
+      expect((await queryTranscription({ taskId, baseId: "base-2" })).text).toBe("打开飞书");
+      expect((await queryTranscription({ taskId })).text).toBe("打开飞书");
+    });
+  });
+
+  it("generates insights once per task and reuses them for later queries", async () => {
+    await withStores(async ({ chunkStore }) => {
+      vi.stubEnv("LLM_PROVIDER", "openai");
+      vi.stubEnv("LLM_API_KEY", "key");
+      let calls = 0;
+      vi.stubGlobal("fetch", async () => {
+        calls += 1;
+        const summary = `第 ${calls} 次摘要`;
+        return { ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify({ summary }) } }] }) };
+      });
+      try {
+        const taskId = saveFinishedTask(chunkStore, "今天讨论了排期。");
+        const [first, second] = await Promise.all([
+          queryTranscription({ taskId, withInsights: true }),
+          queryTranscription({ taskId, withInsights: true })
+        ]);
+        const third = await queryTranscription({ taskId, withInsights: true });
+        expect(calls).toBe(1);
+        expect([first, second, third].map((result) => result.insights.summary)).toEqual(Array(3).fill("第 1 次摘要"));
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  it("translates a task once per target language and reuses it across subtitle formats", async () => {
+    await withStores(async ({ chunkStore }) => {
+      vi.stubEnv("TRANSLATION_PROVIDER", "openai");
+      vi.stubEnv("LLM_API_KEY", "key");
+      const requests = [];
+      vi.stubGlobal("fetch", async (url, options) => {
+        const texts = JSON.parse(JSON.parse(options.body).messages[1].content);
+        requests.push(texts);
+        const translations = texts.map((text) => `译${requests.length}:${text}`);
+        return { ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify({ translations }) } }] }) };
+      });
+      try {
+        const taskId = createChunkTaskId();
+        chunkStore.saveChunkTask(taskId, [
+          {
+            taskId: "part-1",
+            offsetMs: 0,
+            durationMs: 60000,
+            result: { text: "你好", utterances: [{ text: "你好", start_time: 0, end_time: 1000 }] }
+          }
+        ]);
+        const srt = await queryTranscription({ taskId, targetLanguage: "en-US", subtitleFormat: "srt" });
+        const vtt = await queryTranscription({ taskId, targetLanguage: "en-US", subtitleFormat: "vtt" });
+        const plain = await queryTranscription({ taskId, targetLanguage: "en-US" });
+        await queryTranscription({ taskId, targetLanguage: "en-US" });
+        expect(requests).toHaveLength(2);
+        expect(srt.translation.text).toBe("译1:你好");
+        expect(vtt.translation.subtitle).toContain("译1:你好");
+        expect(plain.translation.text).toBe("译2:你好");
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { getTranslationConfig } from "../config/llm.js";
+import { createChatClient } from "./llm.service.js";
+
+export const translationLanguages = {
+  "zh-CN": "简体中文",
+  "en-US": "English",
+  "ja-JP": "日本語",
+  "ko-KR": "한국어",
+  "fr-FR": "Français",
+  "es-MX": "Español",
+  "pt-BR": "Português",
+  "ru-RU": "Русский"
+};
+
+const batchSize = 50;
+
+export const parseTranslations = (content, expectedLength) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content || "").trim());
+  } catch {
+    throw new Error("翻译返回格式无效");
+  }
+  const translations = Array.isArray(parsed) ? parsed : parsed?.translations;
+  if (!Array.isArray(translations) || translations.length !== expectedLength) {
+    throw new Error("翻译返回条数不一致");
+  }
+  return translations.map((item) => String(item ?? ""));
+};
+
+export const createLlmTranslator = (config) => {
+  const chat = createChatClient(config);
+
+  const translate = async ({ texts, targetLanguage }) => {
+    const prompt = [
+      `把用户提供的 JSON 数组中的每一项翻译为${translationLanguages[targetLanguage] || targetLanguage}，`,
+      '保持条数与顺序不变，只输出 JSON：{"translations": ["译文"]}。'
+    ].join("");
+    return parseTranslations(
+      await chat([
+        { role: "system", content: prompt },
+        { role: "user", content: JSON.stringify(texts) }
+      ]),
+      texts.length
+    );
+  };
+
+  return { name: "openai", translate };
+};
+
+// 本地实现只做标记，不访问网络，用于测试与开发环境
+export const createStubTranslator = () => ({
+  name: "stub",
+  translate: async ({ texts, targetLanguage }) => texts.map((text) => (text ? `[${targetLanguage}] ${text}` : ""))
+});
+
+const translatorFactories = {
+  openai: createLlmTranslator,
+  stub: createStubTranslator
+};
+
+export const createTranslator = (config = getTranslationConfig()) => {
+  const factory = translatorFactories[config.provider];
+  if (!factory) {
+    throw new Error("缺少环境变量: TRANSLATION_PROVIDER");
+  }
+  if (config.provider === "openai" && !config.apiKey) {
+    throw new Error("缺少环境变量: LLM_API_KEY");
+  }
+  return factory(config);
+};
+
+// 分批翻译，避免单次请求过长
+export const translateTexts = async (texts, targetLanguage, translator = createTranslator()) => {
+  const results = [];
+  for (let index = 0; index < texts.length; index += batchSize) {
+    results.push(...(await translator.translate({ texts: texts.slice(index, index + batchSize), targetLanguage })));
+  }
+  return results;
+};
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { buildBilingualSubtitle } from "./subtitle.service.js";
+import { createTranslator, parseTranslations, translateTexts } from "./translation.service.js";
+
+describe("translation", () => {
+  it("translates in batches through the stub adapter and builds bilingual subtitles", async () => {
+    const translator = createTranslator({ provider: "stub" });
+    const texts = Array.from({ length: 60 }, (_, index) => `句子${index}`);
+    const translations = await translateTexts(texts, "en-US", translator);
+    expect(translations).toHaveLength(60);
+    expect(translations[59]).toBe("[en-US] 句子59");
+    const srt = buildBilingualSubtitle([{ text: "你好", start_time: 0, end_time: 1000 }], ["Hello"], "srt");
+    expect(srt).toBe("1\n00:00:00,000 --> 00:00:01,000\n你好\nHello");
+  });
+
+  it("rejects llm translations that do not match the input length", () => {
+    expect(parseTranslations('{"translations":["a","b"]}', 2)).toEqual(["a", "b"]);
+    expect(() => parseTranslations('{"translations":["a"]}', 2)).toThrow("翻译返回条数不一致");
+    expect(() => createTranslator({ provider: "" })).toThrow("TRANSLATION_PROVIDER");
+  });
+});
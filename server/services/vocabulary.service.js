@@ -0,0 +1,15 @@
+// 按原文长度从长到短依次替换，避免短规则先命中长词的一部分
+export const applyReplacements = (text, replacements = []) => {
+  if (!text || replacements.length === 0) {
+    return text;
+  }
+  return [...replacements]
+    .filter((rule) => rule?.from)
+    .sort((a, b) => b.from.length - a.from.length)
+    .reduce((result, rule) => result.split(rule.from).join(rule.to ?? ""), text);
+};
+
+export const applyReplacementsToUtterances = (utterances = [], replacements = []) =>
+  replacements.length === 0
+    ? utterances
+    : utterances.map((item) => ({ ...item, text: applyReplacements(item.text, replacements) }));
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { buildSubmitPayload } from "../volcengineClient.js";
+import { applyReplacements } from "./vocabulary.service.js";
+import { createVocabularyStore } from "../stores/vocabulary.js";
+
+describe("vocabulary", () => {
+  it("passes hotwords to volcengine as corpus context", () => {
+    const payload = buildSubmitPayload({ audioUrl: "https://example.com/a.mp3", hotwords: ["飞书", "多维表格"] });
+    expect(JSON.parse(payload.request.corpus.context)).toEqual({ hotwords: [{ word: "飞书" }, { word: "多维表格" }] });
+    expect(buildSubmitPayload({ audioUrl: "https://example.com/a.mp3", hotwords: [] }).request.corpus).toBeUndefined();
+  });
+
+  it("stores hotwords and replacement rules per base and applies them deterministically", () => {
+    const store = createVocabularyStore({});
+    expect(store.setHotwords("base-1", [" 飞书 ", "飞书", ""]).hotwords).toEqual(["飞书"]);
+    const short = store.addReplacement("base-1", { from: "飞书", to: "Feishu" });
+    store.addReplacement("base-1", { from: "非书多维", to: "飞书多维" });
+    store.updateReplacement("base-1", short.id, { from: "多为表格", to: "多维表格" });
+    const { replacements } = store.getVocabulary("base-1");
+    expect(applyReplacements("打开非书多维表格和多为表格", replacements)).toBe("打开飞书多维表格和多维表格");
+    expect(store.removeReplacement("base-1", short.id)).toBe(true);
+    expect(store.getVocabulary("base-1").replacements).toHaveLength(1);
+    expect(store.getVocabulary("base-2")).toEqual({ hotwords: [], replacements: [] });
+  });
+});
@@ -0,0 +1,40 @@
+// 以 Map 的接口包装一个按键存储的集合：写入只持久化变更的键；
+// 所在事务失败时，被改动的键恢复为存储中已提交的值。未传 storage 时只保存在内存中
+export const createCollection = ({ storage, name, entries = {} }) => {
+  const map = new Map(Object.entries(entries || {}));
+
+  storage?.onRollback(name, (key, committed) => {
+    if (committed === undefined) {
+      map.delete(key);
+    } else {
+      map.set(key, committed);
+    }
+  });
+
+  const collection = {
+    get: (key) => map.get(key),
+    has: (key) => map.has(key),
+    set: (key, value) => {
+      map.set(key, value);
+      storage?.upsert(name, key, value);
+      return collection;
+    },
+    delete: (key) => {
+      const removed = map.delete(key);
+      if (removed) {
+        storage?.delete(name, key);
+      }
+      return removed;
+    },
+    keys: () => map.keys(),
+    values: () => map.values(),
+    entries: () => map.entries(),
+    forEach: (callback) => map.forEach((value, key) => callback(value, key, collection)),
+    get size() {
+      return map.size;
+    }
+  };
+  return collection;
+};
+
+export const runWithoutStorage = (fn) => fn();
@@ -0,0 +1,109 @@
+// 存储适配器接口：
+// load() 返回全部集合；upsert(collection, key, value) / delete(collection, key) 按键写入；
+// transaction(fn) 内的写入合并为一次原子提交，失败时通过 onRollback 恢复内存中的集合
+export const listCollections = ["adminBaseIdList", "redeemCodes"];
+
+// 数组类集合整体存为一个键
+export const listKey = "";
+
+export const createEmptyStoreData = () => ({
+  paidUntilByBaseId: {},
+  adminBaseIdList: [],
+  redeemCodes: [],
+  trialUsageByBaseId: {},
+  pricingByBaseId: {},
+  usageByBaseId: {},
+  dailyUsageByBaseId: {},
+  billingTasksById: {},
+  chunkTasksById: {},
+  asrTasksById: {},
+  taskMetaById: {},
+  callbackTasksById: {},
+  callbackResultsById: {},
+  ordersById: {},
+  walletBalanceByBaseId: {},
+  walletLedgerById: {},
+  jobsById: {},
+  runsById: {},
+  runItemsById: {},
+  settingsByBaseId: {},
+  vocabularyByBaseId: {}
+});
+
+export const normalizeStoreData = (data = {}) => {
+  const empty = createEmptyStoreData();
+  return Object.fromEntries(Object.keys(empty).map((key) => [key, data?.[key] || empty[key]]));
+};
+
+// 事务内按键缓冲写入，最外层事务结束时一次提交；事务抛错或提交失败时丢弃缓冲，
+// 并把事务中改过的键按存储中已提交的值通知各集合恢复内存数据
+export const createTransactionalStorage = ({ apply, read }) => {
+  let depth = 0;
+  let pending = new Map();
+  const rollbackHandlers = new Map();
+
+  const takePending = () => {
+    const ops = Array.from(pending.values());
+    pending = new Map();
+    return ops;
+  };
+
+  const rollback = (ops) => {
+    ops.forEach(({ collection, key }) => {
+      const committed = read(collection, key);
+      rollbackHandlers.get(collection)?.forEach((handler) => handler(key, committed));
+    });
+  };
+
+  const flush = () => {
+    const ops = takePending();
+    if (!ops.length) {
+      return;
+    }
+    try {
+      apply(ops);
+    } catch (error) {
+      rollback(ops);
+      throw error;
+    }
+  };
+
+  const write = (op) => {
+    pending.set(`${op.collection}\u0000${op.key}`, op);
+    if (depth === 0) {
+      flush();
+    }
+  };
+
+  const upsert = (collection, key, value) => write({ collection, key, value, deleted: false });
+
+  const remove = (collection, key) => write({ collection, key, deleted: true });
+
+  const onRollback = (collection, handler) => {
+    if (!rollbackHandlers.has(collection)) {
+      rollbackHandlers.set(collection, new Set());
+    }
+    rollbackHandlers.get(collection).add(handler);
+  };
+
+  const transaction = (fn) => {
+    depth += 1;
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      depth -= 1;
+      if (depth === 0) {
+        rollback(takePending());
+      }
+      throw error;
+    }
+    depth -= 1;
+    if (depth === 0) {
+      flush();
+    }
+    return result;
+  };
+
+  return { upsert, delete: remove, onRollback, transaction };
+};
@@ -0,0 +1,13 @@
+import { storageDrivers } from "../config/storage.js";
+import { createJsonStorage } from "./json.js";
+import { createSqliteStorage } from "./sqlite.js";
+
+export const createStorage = ({ driver, jsonPath, sqlitePath }) => {
+  if (!storageDrivers.includes(driver)) {
+    throw new Error(`不支持的存储类型: ${driver}`);
+  }
+  if (driver === "json") {
+    return createJsonStorage({ path: jsonPath });
+  }
+  return createSqliteStorage({ path: sqlitePath });
+};
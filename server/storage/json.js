@@ -0,0 +1,69 @@
+import fs from "node:fs";
+import { logEvent } from "../middleware/logger.js";
+import { createEmptyStoreData, createTransactionalStorage, listCollections, normalizeStoreData } from "./common.js";
+
+export const readJsonStore = (storePath) => {
+  if (!storePath || !fs.existsSync(storePath)) {
+    return createEmptyStoreData();
+  }
+  try {
+    return normalizeStoreData(JSON.parse(fs.readFileSync(storePath, "utf-8") || "{}"));
+  } catch {
+    return createEmptyStoreData();
+  }
+};
+
+// 旧版存储：每次提交整体重写 JSON 文件，先写临时文件再改名，避免写到一半时进程退出损坏文件。
+// 缓存只保存已提交数据的副本，内存中各集合的修改不会影响事务失败时的恢复
+export const createJsonStorage = ({ path: storePath }) => {
+  const cache = readJsonStore(storePath);
+  let pendingWrite = Promise.resolve();
+
+  const read = (collection, key) => {
+    const value = listCollections.includes(collection) ? cache[collection] : cache[collection]?.[key];
+    return value === undefined ? undefined : structuredClone(value);
+  };
+
+  const apply = (ops) => {
+    ops.forEach(({ collection, key, value, deleted }) => {
+      if (listCollections.includes(collection)) {
+        cache[collection] = deleted ? [] : structuredClone(value);
+        return;
+      }
+      const entries = { ...(cache[collection] || {}) };
+      if (deleted) {
+        delete entries[key];
+      } else {
+        entries[key] = structuredClone(value);
+      }
+      cache[collection] = entries;
+    });
+    if (!storePath) {
+      return;
+    }
+    const payload = JSON.stringify(cache, null, 2);
+    const tempPath = `${storePath}.tmp`;
+    pendingWrite = pendingWrite
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, payload, "utf-8");
+        await fs.promises.rename(tempPath, storePath);
+      })
+      .catch((error) => {
+        logEvent("error", { type: "storage", message: error.message });
+      });
+  };
+
+  const { upsert, delete: remove, onRollback, transaction } = createTransactionalStorage({ apply, read });
+
+  return {
+    driver: "json",
+    load: () => structuredClone(normalizeStoreData(cache)),
+    read,
+    upsert,
+    delete: remove,
+    onRollback,
+    transaction,
+    flush: () => pendingWrite,
+    close: () => pendingWrite
+  };
+};
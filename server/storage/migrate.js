@@ -0,0 +1,30 @@
+import fs from "node:fs";
+import { listKey } from "./common.js";
+import { readJsonStore } from "./json.js";
+
+// 一次性导入旧版 JSON 文件；目标库已有数据时拒绝执行，避免覆盖线上数据
+export const migrateJsonStore = ({ jsonPath, storage, force = false }) => {
+  if (!jsonPath || !fs.existsSync(jsonPath)) {
+    throw new Error(`JSON 存储文件不存在: ${jsonPath}`);
+  }
+  if (!force && !storage.isEmpty()) {
+    throw new Error("目标存储已有数据，如需覆盖请使用 --force");
+  }
+  const data = readJsonStore(jsonPath);
+  storage.transaction(() => {
+    Object.entries(data).forEach(([collection, value]) => {
+      if (Array.isArray(value)) {
+        storage.upsert(collection, listKey, value);
+        return;
+      }
+      Object.entries(value).forEach(([key, item]) => storage.upsert(collection, key, item));
+    });
+  });
+  storage.setMeta("migratedFromJson", JSON.stringify({ jsonPath, migratedAt: Date.now() }));
+  return Object.fromEntries(
+    Object.entries(data).map(([collection, value]) => [
+      collection,
+      Array.isArray(value) ? value.length : Object.keys(value).length
+    ])
+  );
+};
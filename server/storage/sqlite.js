@@ -0,0 +1,86 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { createTransactionalStorage, listCollections, normalizeStoreData } from "./common.js";
+
+const require = createRequire(import.meta.url);
+
+// 数组类集合整体存为一行，其余集合按键逐行存储，每次只写入变更的键
+export const createSqliteStorage = ({ path: dbPath }) => {
+  // 原生模块按需加载，使用 JSON 存储时不需要安装
+  const Database = require("better-sqlite3");
+  if (dbPath !== ":memory:") {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS store_entries (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    );
+    CREATE TABLE IF NOT EXISTS store_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const selectEntries = db.prepare("SELECT collection, key, value FROM store_entries");
+  const selectEntry = db.prepare("SELECT value FROM store_entries WHERE collection = ? AND key = ?");
+  const upsertEntry = db.prepare(
+    "INSERT INTO store_entries (collection, key, value) VALUES (?, ?, ?) " +
+      "ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value"
+  );
+  const deleteEntry = db.prepare("DELETE FROM store_entries WHERE collection = ? AND key = ?");
+  const selectMeta = db.prepare("SELECT value FROM store_meta WHERE key = ?");
+  const upsertMeta = db.prepare(
+    "INSERT INTO store_meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+  );
+
+  const load = () => {
+    const data = {};
+    selectEntries.all().forEach(({ collection, key, value }) => {
+      if (listCollections.includes(collection)) {
+        data[collection] = JSON.parse(value);
+      } else {
+        data[collection] = { ...(data[collection] || {}), [key]: JSON.parse(value) };
+      }
+    });
+    return normalizeStoreData(data);
+  };
+
+  const read = (collection, key) => {
+    const row = selectEntry.get(collection, key);
+    return row ? JSON.parse(row.value) : undefined;
+  };
+
+  const apply = db.transaction((ops) => {
+    ops.forEach(({ collection, key, value, deleted }) => {
+      if (deleted) {
+        deleteEntry.run(collection, key);
+      } else {
+        upsertEntry.run(collection, key, JSON.stringify(value));
+      }
+    });
+  });
+
+  const { upsert, delete: remove, onRollback, transaction } = createTransactionalStorage({ apply, read });
+
+  return {
+    driver: "sqlite",
+    load,
+    read,
+    upsert,
+    delete: remove,
+    onRollback,
+    transaction,
+    getMeta: (key) => selectMeta.get(key)?.value ?? null,
+    setMeta: (key, value) => upsertMeta.run(key, String(value)),
+    isEmpty: () => !db.prepare("SELECT 1 FROM store_entries LIMIT 1").get(),
+    flush: () => Promise.resolve(),
+    close: () => db.close()
+  };
+};
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createBillingStore } from "../stores/billing.js";
+import { createOrderStore } from "../stores/order.js";
+import { createJsonStorage } from "./json.js";
+import { migrateJsonStore } from "./migrate.js";
+import { createSqliteStorage } from "./sqlite.js";
+import { createSubscriptionStore } from "../stores/subscription.js";
+import { createRecordingStorage } from "./testing.js";
+
+describe("storage", () => {
+  const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "transcribe-store-"));
+
+  it("writes single keys to sqlite and rolls back memory on a failed transaction", () => {
+    const dir = createTempDir();
+    const dbPath = path.join(dir, "store.db");
+    try {
+      const storage = createSqliteStorage({ path: dbPath });
+      const store = createBillingStore({ defaultPricing: { modelUnitPrice: 1, modelUnitLabel: "分钟" }, storage });
+      store.recordUsage({ baseId: "base-1", minutes: 2 });
+      storage.upsert("redeemCodes", "", [{ codeHash: "h" }]);
+      expect(() =>
+        storage.transaction(() => {
+          store.recordUsage({ baseId: "base-1", minutes: 5 });
+          store.recordUsage({ baseId: "base-2", minutes: 1 });
+          throw new Error("boom");
+        })
+      ).toThrow("boom");
+      expect(store.getUsage("base-1").count).toBe(2);
+      expect(store.getUsage("base-2").count).toBe(0);
+      store.recordUsage({ baseId: "base-3", minutes: 1 });
+      storage.close();
+
+      const reopened = createSqliteStorage({ path: dbPath });
+      const data = reopened.load();
+      expect(Object.keys(data.usageByBaseId).sort()).toEqual(["base-1", "base-3"]);
+      expect(data.usageByBaseId["base-1"].count).toBe(2);
+      expect(data.redeemCodes).toEqual([{ codeHash: "h" }]);
+      reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps committed json data apart from in-memory changes", () => {
+    const dir = createTempDir();
+    const storage = createJsonStorage({ path: path.join(dir, "store.json") });
+    try {
+      const store = createOrderStore({ storage });
+      const order = store.createOrder({ baseId: "base-1", planId: "monthly", price: 10 });
+      expect(() =>
+        storage.transaction(() => {
+          store.updateOrder(order.orderId, { status: "paid" });
+          throw new Error("boom");
+        })
+      ).toThrow("boom");
+      expect(store.getOrder(order.orderId).status).toBe("pending");
+      expect(storage.load().ordersById[order.orderId].status).toBe("pending");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("imports a legacy json file once", () => {
+    const dir = createTempDir();
+    const jsonPath = path.join(dir, "store.json");
+    fs.writeFileSync(jsonPath, JSON.stringify({ paidUntilByBaseId: { "base-1": "100" }, adminBaseIdList: ["admin"] }));
+    const storage = createSqliteStorage({ path: ":memory:" });
+    try {
+      const counts = migrateJsonStore({ jsonPath, storage });
+      expect(counts).toMatchObject({ paidUntilByBaseId: 1, adminBaseIdList: 1, jobsById: 0 });
+      expect(storage.load().adminBaseIdList).toEqual(["admin"]);
+      expect(JSON.parse(storage.getMeta("migratedFromJson")).jsonPath).toBe(jsonPath);
+      expect(() => migrateJsonStore({ jsonPath, storage })).toThrow("目标存储已有数据");
+    } finally {
+      storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("writes a redeem and its plan activation in one transaction", () => {
+    const { storage, batches } = createRecordingStorage();
+    const store = createSubscriptionStore({
+      trialMinutes: 0,
+      paidBaseIds: new Set(),
+      adminBaseIds: new Set(),
+      redeemCodes: [{ codeHash: crypto.createHash("sha256").update("CODE").digest("hex"), durationMs: 1000 }],
+      storage
+    });
+    expect(store.redeem({ baseId: "base-1", code: "CODE" }).ok).toBe(true);
+    expect(batches).toHaveLength(1);
+    const written = Object.fromEntries(batches[0].map((op) => [`${op.collection}:${op.key}`, op.value]));
+    expect(written["paidUntilByBaseId:base-1"]).toBeTruthy();
+    expect(written["redeemCodes:"][0].usedBy).toBe("base-1");
+  });
+});
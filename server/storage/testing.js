@@ -0,0 +1,21 @@
+import { createTransactionalStorage } from "./common.js";
+
+// 记录每次提交的写入批次，已提交的值按 "集合:键" 保存
+export const createRecordingStorage = () => {
+  const batches = [];
+  const committed = new Map();
+  const storage = createTransactionalStorage({
+    apply: (ops) => {
+      batches.push(ops);
+      ops.forEach(({ collection, key, value, deleted }) => {
+        if (deleted) {
+          committed.delete(`${collection}:${key}`);
+        } else {
+          committed.set(`${collection}:${key}`, JSON.parse(JSON.stringify(value)));
+        }
+      });
+    },
+    read: (collection, key) => committed.get(`${collection}:${key}`)
+  });
+  return { storage, batches, committed };
+};
@@ -0,0 +1,42 @@
+import { createCollection } from "../storage/collection.js";
+
+const asrTaskTtlMs = 24 * 60 * 60 * 1000;
+
+// 同步识别服务（如 Whisper）在后台执行的任务状态随存储持久化，
+// 服务重启后仍能查询已完成的结果
+export const createAsrTaskStore = ({ asrTasksById = {}, storage }) => {
+  const taskMap = createCollection({ storage, name: "asrTasksById", entries: asrTasksById });
+
+  const pruneExpired = (now) => {
+    taskMap.forEach((task, id) => {
+      if (now - (task.createdAt || now) > asrTaskTtlMs) {
+        taskMap.delete(id);
+      }
+    });
+  };
+
+  const saveTask = (taskId, task, now = Date.now()) => {
+    pruneExpired(now);
+    const next = { ...task, createdAt: now };
+    taskMap.set(taskId, next);
+    return next;
+  };
+
+  const getTask = (taskId) => taskMap.get(taskId) || null;
+
+  const updateTask = (taskId, patch) => {
+    const task = taskMap.get(taskId);
+    if (!task) {
+      return null;
+    }
+    const next = { ...task, ...patch };
+    taskMap.set(taskId, next);
+    return next;
+  };
+
+  return {
+    saveTask,
+    getTask,
+    updateTask
+  };
+};
@@ -1,15 +1,39 @@
+import { createCollection, runWithoutStorage } from "../storage/collection.js";
 import { normalizeBaseId } from "./subscription.js";
 
+const billingTaskTtlMs = 7 * 24 * 60 * 60 * 1000;
+
 export const createBillingStore = ({
   pricingByBaseId = {},
   usageByBaseId = {},
   dailyUsageByBaseId = {},
+  billingTasksById = {},
   defaultPricing,
-  onPersist
+  storage
 }) => {
-  const pricingMap = new Map(Object.entries(pricingByBaseId));
-  const usageMap = new Map(Object.entries(usageByBaseId));
-  const dailyUsageMap = new Map(Object.entries(dailyUsageByBaseId));
+  const transaction = storage ? storage.transaction : runWithoutStorage;
+  const pricingMap = createCollection({ storage, name: "pricingByBaseId", entries: pricingByBaseId });
+  const usageMap = createCollection({ storage, name: "usageByBaseId", entries: usageByBaseId });
+  const dailyUsageMap = createCollection({ storage, name: "dailyUsageByBaseId", entries: dailyUsageByBaseId });
+  const billingTaskMap = createCollection({ storage, name: "billingTasksById", entries: billingTasksById });
+
+  // 待计费任务随租户数据持久化，服务重启后首次查到完成结果仍能计费；
+  // 保持 Map 的读写接口，超过保留期仍未完成的任务在写入时清理
+  const billingTasks = {
+    get: (taskId) => billingTaskMap.get(taskId),
+    has: (taskId) => billingTaskMap.has(taskId),
+    set: (taskId, task) => {
+      const now = Date.now();
+      billingTaskMap.forEach((item, id) => {
+        if (now - (item.createdAt || now) > billingTaskTtlMs) {
+          billingTaskMap.delete(id);
+        }
+      });
+      billingTaskMap.set(taskId, { ...task, createdAt: task.createdAt || now });
+      return billingTasks;
+    },
+    delete: (taskId) => billingTaskMap.delete(taskId)
+  };
 
   const getDateKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
 
@@ -64,7 +88,8 @@ export const createBillingStore = ({
       planPriceById,
       modelUnitPrice: fallbackUnitPrice,
       modelUnitLabel: pricing.modelUnitLabel || defaultPricing.modelUnitLabel,
-      tieredPrices: normalizeTieredPrices(pricing.tieredPrices || defaultPricing.tieredPrices, fallbackUnitPrice)
+      tieredPrices: normalizeTieredPrices(pricing.tieredPrices || defaultPricing.tieredPrices, fallbackUnitPrice),
+      walletBilling: Boolean(pricing.walletBilling)
     };
   };
 
@@ -82,13 +107,6 @@ export const createBillingStore = ({
     }
     const pricing = normalizePricing(nextPricing || {});
     pricingMap.set(normalized, pricing);
-    if (onPersist) {
-      onPersist({
-        pricingByBaseId: Object.fromEntries(pricingMap.entries()),
-        usageByBaseId: Object.fromEntries(usageMap.entries()),
-        dailyUsageByBaseId: Object.fromEntries(dailyUsageMap.entries())
-      });
-    }
     return true;
   };
 
@@ -159,92 +177,124 @@ export const createBillingStore = ({
     return cost;
   };
 
-  const recordUsage = ({ baseId, units = 1, minutes, durationMs, occurredAt }) => {
+  const resolveBilledMinutes = ({ units = 1, minutes, durationMs }) =>
+    Number.isFinite(Number(minutes)) && Number(minutes) > 0
+      ? Number(minutes)
+      : Number.isFinite(Number(durationMs)) && Number(durationMs) > 0
+        ? Math.max(1, Math.ceil(Number(durationMs) / 60000))
+        : Number.isFinite(Number(units)) && Number(units) > 0
+          ? Number(units)
+          : 1;
+
+  // 已提交但尚未计费的任务按提交时的时长估算分钟数
+  const getPendingMinutes = (baseId) => {
+    const normalized = normalizeBaseId(baseId);
+    let total = 0;
+    billingTaskMap.forEach((task) => {
+      if (normalizeBaseId(task.baseId) === normalized && !task.charged && !task.released) {
+        total += resolveBilledMinutes({ durationMs: task.durationMs });
+      }
+    });
+    return total;
+  };
+
+  // 按当日已用时长所处阶梯估算费用，与 recordUsage 的计费口径一致
+  const estimateCost = ({ baseId, minutes, durationMs }) => {
     const normalized = normalizeBaseId(baseId);
-    if (!normalized) {
-      return { count: 0, cost: 0 };
-    }
     const pricing = getPricing(normalized);
-    const prev = getUsage(normalized);
-    const resolvedMinutes =
-      Number.isFinite(Number(minutes)) && Number(minutes) > 0
-        ? Number(minutes)
-        : Number.isFinite(Number(durationMs)) && Number(durationMs) > 0
-          ? Math.max(1, Math.ceil(Number(durationMs) / 60000))
-          : Number.isFinite(Number(units)) && Number(units) > 0
-            ? Number(units)
-            : 1;
-    const dateKey = getDateKey(Number.isFinite(Number(occurredAt)) ? Number(occurredAt) : Date.now());
-    const dailyPrev = getDailyUsage(normalized, dateKey);
-    const dailyCostDelta = calculateTieredCost(
+    const daily = getDailyUsage(normalized);
+    const cost = calculateTieredCost(
       pricing.tieredPrices,
-      dailyPrev.minutes,
-      resolvedMinutes,
+      daily.minutes,
+      resolveBilledMinutes({ minutes, durationMs }),
       pricing.modelUnitPrice
     );
-    const nextDailyMinutes = dailyPrev.minutes + resolvedMinutes;
-    const nextDailyCost = Number((dailyPrev.cost + dailyCostDelta).toFixed(4));
-    const dailyByDate = dailyUsageMap.get(normalized) || {};
-    dailyByDate[dateKey] = { minutes: nextDailyMinutes, cost: nextDailyCost };
-    dailyUsageMap.set(normalized, dailyByDate);
-
-    const nextCount = prev.count + resolvedMinutes;
-    const nextCost = Number((prev.cost + dailyCostDelta).toFixed(4));
-    usageMap.set(normalized, { count: nextCount, minutes: nextCount, cost: nextCost });
-    if (onPersist) {
-      onPersist({
-        pricingByBaseId: Object.fromEntries(pricingMap.entries()),
-        usageByBaseId: Object.fromEntries(usageMap.entries()),
-        dailyUsageByBaseId: Object.fromEntries(dailyUsageMap.entries())
-      });
-    }
-    return {
-      count: nextCount,
-      minutes: nextCount,
-      cost: nextCost,
-      dailyMinutes: nextDailyMinutes,
-      dailyCost: nextDailyCost,
-      unitPrice: resolveCurrentTierUnitPrice(pricing.tieredPrices, nextDailyMinutes, pricing.modelUnitPrice),
-      unitLabel: pricing.modelUnitLabel
-    };
+    return Number(cost.toFixed(4));
   };
 
+  const recordUsage = ({ baseId, units = 1, minutes, durationMs, occurredAt }) =>
+    transaction(() => {
+      const normalized = normalizeBaseId(baseId);
+      if (!normalized) {
+        return { count: 0, cost: 0 };
+      }
+      const pricing = getPricing(normalized);
+      const prev = getUsage(normalized);
+      const resolvedMinutes = resolveBilledMinutes({ units, minutes, durationMs });
+      const dateKey = getDateKey(Number.isFinite(Number(occurredAt)) ? Number(occurredAt) : Date.now());
+      const dailyPrev = getDailyUsage(normalized, dateKey);
+      const dailyCostDelta = calculateTieredCost(
+        pricing.tieredPrices,
+        dailyPrev.minutes,
+        resolvedMinutes,
+        pricing.modelUnitPrice
+      );
+      const nextDailyMinutes = dailyPrev.minutes + resolvedMinutes;
+      const nextDailyCost = Number((dailyPrev.cost + dailyCostDelta).toFixed(4));
+      dailyUsageMap.set(normalized, {
+        ...(dailyUsageMap.get(normalized) || {}),
+        [dateKey]: { minutes: nextDailyMinutes, cost: nextDailyCost }
+      });
+
+      const nextCount = prev.count + resolvedMinutes;
+      const nextCost = Number((prev.cost + dailyCostDelta).toFixed(4));
+      usageMap.set(normalized, { count: nextCount, minutes: nextCount, cost: nextCost });
+      return {
+        count: nextCount,
+        minutes: nextCount,
+        cost: nextCost,
+        dailyMinutes: nextDailyMinutes,
+        dailyCost: nextDailyCost,
+        billedMinutes: resolvedMinutes,
+        billedCost: Number(dailyCostDelta.toFixed(4)),
+        unitPrice: resolveCurrentTierUnitPrice(pricing.tieredPrices, nextDailyMinutes, pricing.modelUnitPrice),
+        unitLabel: pricing.modelUnitLabel
+      };
+    });
+
   return {
     getPricing,
     setPricing,
     getUsage,
     getDailyUsage,
     resolveCurrentTierUnitPrice,
-    recordUsage
+    resolveBilledMinutes,
+    getPendingMinutes,
+    estimateCost,
+    recordUsage,
+    billingTasks,
+    transaction
   };
 };
 
+// 删除待计费任务与记录用量在同一事务中提交，避免重启后重复计费或漏计费
 export const createUsageRecorder = ({ billingTasks, billingStore }) => {
-  return ({ taskId, durationMs }) => {
-    if (!taskId) {
-      return null;
-    }
-    const cached = billingTasks.get(taskId);
-    if (cached?.charged) {
-      return null;
-    }
-    if (!cached) {
-      return null;
-    }
-    const normalized = normalizeBaseId(cached.baseId);
-    if (!normalized) {
+  return ({ taskId, durationMs }) =>
+    billingStore.transaction(() => {
+      if (!taskId) {
+        return null;
+      }
+      const cached = billingTasks.get(taskId);
+      if (cached?.charged) {
+        return null;
+      }
+      if (!cached) {
+        return null;
+      }
+      const normalized = normalizeBaseId(cached.baseId);
+      if (!normalized) {
+        billingTasks.delete(taskId);
+        return null;
+      }
+      const cachedDurationMs = Number(cached?.durationMs);
+      const passedDurationMs = Number(durationMs);
+      const resolvedDurationMs =
+        Number.isFinite(cachedDurationMs) && cachedDurationMs > 0
+          ? cachedDurationMs
+          : Number.isFinite(passedDurationMs) && passedDurationMs > 0
+            ? passedDurationMs
+            : undefined;
       billingTasks.delete(taskId);
-      return null;
-    }
-    const cachedDurationMs = Number(cached?.durationMs);
-    const passedDurationMs = Number(durationMs);
-    const resolvedDurationMs =
-      Number.isFinite(cachedDurationMs) && cachedDurationMs > 0
-        ? cachedDurationMs
-        : Number.isFinite(passedDurationMs) && passedDurationMs > 0
-          ? passedDurationMs
-          : undefined;
-    billingTasks.delete(taskId);
-    return billingStore.recordUsage({ baseId: normalized, durationMs: resolvedDurationMs });
-  };
+      return billingStore.recordUsage({ baseId: normalized, durationMs: resolvedDurationMs });
+    });
 };
@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { createBillingStore, createUsageRecorder } from "./billing.js";
+import { createRecordingStorage } from "../storage/testing.js";
+
+describe("billing store", () => {
+  it("falls back to default pricing", () => {
+    const store = createBillingStore({
+      defaultPricing: { modelUnitPrice: 0.1, modelUnitLabel: "分钟" }
+    });
+    const pricing = store.getPricing("base-1");
+    expect(pricing.modelUnitPrice).toBe(0.1);
+    expect(pricing.modelUnitLabel).toBe("分钟");
+  });
+
+  it("overrides pricing per tenant", () => {
+    const store = createBillingStore({
+      pricingByBaseId: {
+        "base-1": { modelUnitPrice: 0.2, modelUnitLabel: "次", planPriceById: { monthly: 5 } }
+      },
+      defaultPricing: { modelUnitPrice: 0.1, modelUnitLabel: "分钟" }
+    });
+    const pricing = store.getPricing("base-1");
+    expect(pricing.modelUnitPrice).toBe(0.2);
+    expect(pricing.modelUnitLabel).toBe("次");
+    expect(pricing.planPriceById.monthly).toBe(5);
+  });
+
+  it("records usage cost", () => {
+    const store = createBillingStore({
+      pricingByBaseId: {
+        "base-1": { modelUnitPrice: 0.3, modelUnitLabel: "次" }
+      },
+      defaultPricing: { modelUnitPrice: 0.1, modelUnitLabel: "分钟" }
+    });
+    const first = store.recordUsage({ baseId: "base-1", minutes: 2 });
+    expect(first.count).toBe(2);
+    expect(first.cost).toBe(0.6);
+    const second = store.recordUsage({ baseId: "base-1", minutes: 1 });
+    expect(second.count).toBe(3);
+    expect(second.cost).toBe(0.9);
+  });
+
+  it("applies tiered pricing per day", () => {
+    const store = createBillingStore({
+      defaultPricing: {
+        modelUnitPrice: 0.1,
+        modelUnitLabel: "分钟",
+        tieredPrices: [
+          { upToMinutes: 2, unitPrice: 0.2 },
+          { upToMinutes: 5, unitPrice: 0.1 },
+          { upToMinutes: Number.POSITIVE_INFINITY, unitPrice: 0.05 }
+        ]
+      }
+    });
+    const at = Date.parse("2025-01-01T00:00:00.000Z");
+    const first = store.recordUsage({ baseId: "base-tier", minutes: 1, occurredAt: at });
+    expect(first.dailyMinutes).toBe(1);
+    expect(first.dailyCost).toBe(0.2);
+    const second = store.recordUsage({ baseId: "base-tier", minutes: 2, occurredAt: at });
+    expect(second.dailyMinutes).toBe(3);
+    expect(second.dailyCost).toBe(0.5);
+  });
+
+  it("estimates cost for submitted and pending tasks", () => {
+    const store = createBillingStore({ defaultPricing: { modelUnitPrice: 0.1, modelUnitLabel: "分钟" } });
+    store.billingTasks.set("task-1", { baseId: "base-1", charged: false, durationMs: 150000 });
+    store.billingTasks.set("task-2", { baseId: "base-1", charged: false });
+    store.billingTasks.set("task-3", { baseId: "base-2", charged: false, durationMs: 600000 });
+    expect(store.getPendingMinutes("base-1")).toBe(4);
+    expect(store.estimateCost({ baseId: "base-1", durationMs: 61000 })).toBe(0.2);
+  });
+
+  it("restores pending billing tasks after a restart and charges them in one write", () => {
+    const { storage, batches, committed } = createRecordingStorage();
+    const defaultPricing = { modelUnitPrice: 0.5, modelUnitLabel: "分钟" };
+    const before = createBillingStore({ defaultPricing, storage });
+    before.billingTasks.set("task-1", { baseId: "base-1", charged: false, durationMs: 120000 });
+    const billingTasksById = { "task-1": committed.get("billingTasksById:task-1") };
+
+    batches.length = 0;
+    const after = createBillingStore({ billingTasksById, defaultPricing, storage });
+    const record = createUsageRecorder({ billingTasks: after.billingTasks, billingStore: after });
+    expect(record({ taskId: "task-1" }).billedMinutes).toBe(2);
+    expect(batches).toHaveLength(1);
+    expect(committed.has("billingTasksById:task-1")).toBe(false);
+    expect(committed.get("usageByBaseId:base-1").count).toBe(2);
+  });
+});
+
+describe("usage recorder", () => {
+  it("records usage only for known tasks", () => {
+    const billingTasks = new Map();
+    const billingStore = createBillingStore({
+      defaultPricing: { modelUnitPrice: 0.5, modelUnitLabel: "分钟" }
+    });
+    const recordUsageOnce = createUsageRecorder({ billingTasks, billingStore });
+    expect(recordUsageOnce({ taskId: "missing" })).toBe(null);
+    expect(billingStore.getUsage("base-1").count).toBe(0);
+
+    billingTasks.set("task-1", { baseId: " base-1 ", charged: false, durationMs: 120000 });
+    const first = recordUsageOnce({ taskId: "task-1", durationMs: 60000 });
+    expect(first.count).toBe(2);
+    expect(billingStore.getUsage("base-1").count).toBe(2);
+    expect(recordUsageOnce({ taskId: "task-1" })).toBe(null);
+    expect(billingTasks.has("task-1")).toBe(false);
+
+    billingTasks.set("task-2", { baseId: "base-1", charged: false, durationMs: 60000 });
+    const second = recordUsageOnce({ taskId: "task-2" });
+    expect(second.count).toBe(3);
+    expect(billingStore.getUsage("base-1").count).toBe(3);
+  });
+});
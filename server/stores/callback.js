@@ -0,0 +1,46 @@
+import { createCollection } from "../storage/collection.js";
+
+const callbackTtlMs = 24 * 60 * 60 * 1000;
+
+// 回调登记与回调结果随存储持久化，重启或多实例部署时仍能直接返回已收到的结果
+export const createCallbackStore = ({ callbackTasksById = {}, callbackResultsById = {}, storage }) => {
+  const taskMap = createCollection({ storage, name: "callbackTasksById", entries: callbackTasksById });
+  const resultMap = createCollection({ storage, name: "callbackResultsById", entries: callbackResultsById });
+
+  const pruneExpired = (collection, field, now) => {
+    collection.forEach((entry, taskId) => {
+      if (now - entry[field] > callbackTtlMs) {
+        collection.delete(taskId);
+      }
+    });
+  };
+
+  const registerTask = (taskId, now = Date.now()) => {
+    pruneExpired(taskMap, "registeredAt", now);
+    taskMap.set(taskId, { registeredAt: now, lastQueriedAt: now });
+  };
+
+  const getTask = (taskId) => taskMap.get(taskId) || null;
+
+  const markQueried = (taskId, now = Date.now()) => {
+    const task = taskMap.get(taskId);
+    if (task) {
+      taskMap.set(taskId, { ...task, lastQueriedAt: now });
+    }
+  };
+
+  const saveResult = (taskId, payload, now = Date.now()) => {
+    pruneExpired(resultMap, "receivedAt", now);
+    resultMap.set(taskId, { ...payload, receivedAt: now });
+  };
+
+  const getResult = (taskId) => resultMap.get(taskId) || null;
+
+  return {
+    registerTask,
+    getTask,
+    markQueried,
+    saveResult,
+    getResult
+  };
+};
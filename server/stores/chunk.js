@@ -0,0 +1,65 @@
+import { createCollection } from "../storage/collection.js";
+
+const chunkTaskTtlMs = 24 * 60 * 60 * 1000;
+
+// 分段任务随存储持久化，服务重启后仍能继续查询已提交的分段；
+// 部分分段提交失败时，已提交的分段按音频与识别参数记录，重试时复用，避免重复识别
+export const createChunkStore = ({ chunkTasksById = {}, storage }) => {
+  const chunkTaskMap = createCollection({ storage, name: "chunkTasksById", entries: chunkTasksById });
+
+  const pruneExpired = (now) => {
+    chunkTaskMap.forEach((task, id) => {
+      if (now - (task.createdAt || now) > chunkTaskTtlMs) {
+        chunkTaskMap.delete(id);
+      }
+    });
+  };
+
+  const saveChunkTask = (taskId, parts, now = Date.now()) => {
+    pruneExpired(now);
+    const task = { parts, createdAt: now };
+    chunkTaskMap.set(taskId, task);
+    return task;
+  };
+
+  const getChunkTask = (taskId) => chunkTaskMap.get(taskId) || null;
+
+  const updateChunkParts = (taskId, parts) => {
+    const task = chunkTaskMap.get(taskId);
+    if (!task) {
+      return null;
+    }
+    const next = { ...task, parts };
+    chunkTaskMap.set(taskId, next);
+    return next;
+  };
+
+  const buildPartialKey = (mediaId, paramsKey) => `partial:${mediaId}:${paramsKey}`;
+
+  const savePartialParts = ({ mediaId, paramsKey, parts }, now = Date.now()) => {
+    if (!mediaId || parts.length === 0) {
+      return;
+    }
+    pruneExpired(now);
+    chunkTaskMap.set(buildPartialKey(mediaId, paramsKey), { parts, createdAt: now });
+  };
+
+  // 取出后即删除，同一批分段只会被一次提交复用
+  const takePartialParts = ({ mediaId, paramsKey }) => {
+    const key = buildPartialKey(mediaId, paramsKey);
+    const task = chunkTaskMap.get(key);
+    if (!task) {
+      return [];
+    }
+    chunkTaskMap.delete(key);
+    return Date.now() - (task.createdAt || 0) > chunkTaskTtlMs ? [] : task.parts;
+  };
+
+  return {
+    saveChunkTask,
+    getChunkTask,
+    updateChunkParts,
+    savePartialParts,
+    takePartialParts
+  };
+};
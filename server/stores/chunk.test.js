@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import path from "node:path";
+import { createChunkStore } from "./chunk.js";
+import { createSqliteStorage } from "../storage/sqlite.js";
+
+describe("chunk store", () => {
+  it("persists chunk parts and hands submitted parts of a failed batch to one retry", () => {
+    const storage = createSqliteStorage({ path: ":memory:" });
+    const store = createChunkStore({ storage });
+    const part = { providerName: "volcengine", taskId: "t1", offsetMs: 0, durationMs: 60000 };
+    store.saveChunkTask("chunk:a", [part]);
+    store.updateChunkParts("chunk:a", [{ ...part, result: { text: "你好" } }]);
+    const reloaded = createChunkStore({ chunkTasksById: storage.load().chunkTasksById, storage });
+    expect(reloaded.getChunkTask("chunk:a").parts[0].result.text).toBe("你好");
+
+    reloaded.savePartialParts({ mediaId: "m1", paramsKey: "p1", parts: [part] });
+    expect(reloaded.takePartialParts({ mediaId: "m1", paramsKey: "p2" })).toEqual([]);
+    expect(reloaded.takePartialParts({ mediaId: "m1", paramsKey: "p1" })).toEqual([part]);
+    expect(reloaded.takePartialParts({ mediaId: "m1", paramsKey: "p1" })).toEqual([]);
+    storage.close();
+  });
+});
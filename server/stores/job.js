@@ -0,0 +1,98 @@
+import crypto from "node:crypto";
+import { createCollection } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const activeJobStatuses = ["queued", "submitted", "running"];
+
+// 飞书附件以临时链接提交，链接会过期；链接任务的 fileToken 即原始地址，不会过期
+export const isAttachmentJob = (job) => Boolean(job.fileToken && !job.request?.sourceUrl);
+
+export const createJobStore = ({ jobsById = {}, storage, onStatusChange }) => {
+  const jobMap = createCollection({ storage, name: "jobsById", entries: jobsById });
+
+  const createJob = ({ baseId, runId, tableId, recordId, fileName, fileToken, request, options, output }) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized || (!request?.audioUrl && !request?.sourceUrl)) {
+      return null;
+    }
+    const now = Date.now();
+    const job = {
+      jobId: crypto.randomUUID(),
+      baseId: normalized,
+      runId: runId || "",
+      tableId: tableId || "",
+      recordId: recordId || "",
+      fileName: fileName || "",
+      fileToken: fileToken || "",
+      request: { ...request, baseId: normalized },
+      options: options || {},
+      output: output || {},
+      status: "queued",
+      attempts: 0,
+      taskId: "",
+      logId: "",
+      error: "",
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      urlIssuedAt: now,
+      submittedAt: 0,
+      finishedAt: 0,
+      nextRunAt: now
+    };
+    jobMap.set(job.jobId, job);
+    onStatusChange?.(job);
+    return job;
+  };
+
+  const getJob = (jobId) => jobMap.get(jobId) || null;
+
+  const listJobs = ({ baseId, runId, tableId, status } = {}) => {
+    const normalized = normalizeBaseId(baseId);
+    return Array.from(jobMap.values())
+      .filter((job) => !normalized || job.baseId === normalized)
+      .filter((job) => !runId || job.runId === runId)
+      .filter((job) => !tableId || job.tableId === tableId)
+      .filter((job) => !status || job.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  const updateJob = (jobId, patch) => {
+    const job = jobMap.get(jobId);
+    if (!job) {
+      return null;
+    }
+    const next = { ...job, ...patch, updatedAt: Date.now() };
+    jobMap.set(jobId, next);
+    if (next.status !== job.status) {
+      onStatusChange?.(next);
+    }
+    return next;
+  };
+
+  const getDueJobs = (now = Date.now()) => {
+    return Array.from(jobMap.values())
+      .filter((job) => activeJobStatuses.includes(job.status) && job.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  };
+
+  const pruneJobs = (olderThan) => {
+    let removed = 0;
+    jobMap.forEach((job, jobId) => {
+      if (!activeJobStatuses.includes(job.status) && job.updatedAt < olderThan) {
+        jobMap.delete(jobId);
+        removed += 1;
+      }
+    });
+    return removed;
+  };
+
+  return {
+    createJob,
+    getJob,
+    listJobs,
+    updateJob,
+    getDueJobs,
+    pruneJobs
+  };
+};
@@ -0,0 +1,57 @@
+import crypto from "node:crypto";
+import { createCollection } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const orderStatuses = ["pending", "paid", "failed", "closed"];
+
+export const createOrderStore = ({ ordersById = {}, storage }) => {
+  const orderMap = createCollection({ storage, name: "ordersById", entries: ordersById });
+
+  const createOrder = ({ baseId, planId, price }) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized || !planId) {
+      return null;
+    }
+    const now = Date.now();
+    const order = {
+      orderId: crypto.randomUUID(),
+      baseId: normalized,
+      planId,
+      price,
+      status: "pending",
+      createdAt: now,
+      updatedAt: now,
+      paidAt: 0,
+      paidUntil: 0
+    };
+    orderMap.set(order.orderId, order);
+    return order;
+  };
+
+  const getOrder = (orderId) => orderMap.get(orderId) || null;
+
+  const updateOrder = (orderId, patch) => {
+    const order = orderMap.get(orderId);
+    if (!order) {
+      return null;
+    }
+    const next = { ...order, ...patch, updatedAt: Date.now() };
+    orderMap.set(orderId, next);
+    return next;
+  };
+
+  const listOrders = ({ baseId, status } = {}) => {
+    const normalized = normalizeBaseId(baseId);
+    return Array.from(orderMap.values())
+      .filter((order) => !normalized || order.baseId === normalized)
+      .filter((order) => !status || order.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  };
+
+  return {
+    createOrder,
+    getOrder,
+    updateOrder,
+    listOrders
+  };
+};
@@ -0,0 +1,19 @@
+import { describe, expect, it, vi } from "vitest";
+import { createOrderStore } from "./order.js";
+
+describe("order store", () => {
+  it("lists orders per base newest first", () => {
+    vi.useFakeTimers();
+    const store = createOrderStore({});
+    const first = store.createOrder({ baseId: "base-1", planId: "monthly", price: 10 });
+    store.createOrder({ baseId: "base-2", planId: "monthly", price: 10 });
+    vi.advanceTimersByTime(1000);
+    store.createOrder({ baseId: "base-1", planId: "yearly", price: 100 });
+    store.updateOrder(first.orderId, { status: "paid", paidUntil: 123 });
+    vi.useRealTimers();
+    const orders = store.listOrders({ baseId: "base-1" });
+    expect(orders.map((order) => order.planId)).toEqual(["yearly", "monthly"]);
+    expect(store.listOrders({ baseId: "base-1", status: "paid" })[0].paidUntil).toBe(123);
+    expect(store.createOrder({ baseId: " ", planId: "monthly" })).toBe(null);
+  });
+});
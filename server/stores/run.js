@@ -0,0 +1,171 @@
+import crypto from "node:crypto";
+import { createCollection } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const buildRunKey = ({ baseId, tableId, attachmentFieldId, outputFieldId }) =>
+  [normalizeBaseId(baseId), tableId, attachmentFieldId, outputFieldId].join(":");
+
+export const buildRunItemId = ({ recordId, fileToken }) => `${recordId}:${fileToken || ""}`;
+
+// 运行明细单独存为一个集合，按 "runId:itemId" 保存，状态变化时只写入变化的那一条；
+// 任务 ID 到明细的索引只保存在内存中，启动时由已保存的明细重建
+export const createRunStore = ({ runsById = {}, runItemsById = {}, storage, onItemStatusChange }) => {
+  const runMap = createCollection({ storage, name: "runsById", entries: runsById });
+  const itemMap = createCollection({ storage, name: "runItemsById", entries: runItemsById });
+  const itemKeysByRun = new Map();
+  const itemKeyByTaskId = new Map();
+
+  const buildItemKey = (runId, itemId) => `${runId}:${itemId}`;
+
+  const indexItem = (key, item) => {
+    if (!itemKeysByRun.has(item.runId)) {
+      itemKeysByRun.set(item.runId, new Set());
+    }
+    itemKeysByRun.get(item.runId).add(key);
+    if (item.taskId) {
+      itemKeyByTaskId.set(item.taskId, key);
+    }
+  };
+
+  const saveItem = (key, item) => {
+    itemMap.set(key, item);
+    indexItem(key, item);
+  };
+
+  itemMap.forEach((item, key) => indexItem(key, item));
+  // 早期版本的明细保存在运行记录内，加载时拆分到明细集合
+  runMap.forEach((run, runId) => {
+    if (!run.items) {
+      return;
+    }
+    const { items, ...header } = run;
+    Object.values(items).forEach((item) => saveItem(buildItemKey(runId, item.itemId), { ...item, runId }));
+    runMap.set(runId, header);
+  });
+
+  const deleteRun = (runId) => {
+    (itemKeysByRun.get(runId) || new Set()).forEach((key) => {
+      const item = itemMap.get(key);
+      if (item?.taskId && itemKeyByTaskId.get(item.taskId) === key) {
+        itemKeyByTaskId.delete(item.taskId);
+      }
+      itemMap.delete(key);
+    });
+    itemKeysByRun.delete(runId);
+    runMap.delete(runId);
+  };
+
+  const startRun = ({ baseId, tableId, attachmentFieldId, outputFieldId, output, request, background }) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized || !tableId || !attachmentFieldId || !outputFieldId) {
+      return null;
+    }
+    const key = buildRunKey({ baseId: normalized, tableId, attachmentFieldId, outputFieldId });
+    // 同一表格与字段组合只保留最近一次运行记录
+    Array.from(runMap.values())
+      .filter((run) => run.key === key)
+      .forEach((run) => deleteRun(run.runId));
+    const now = Date.now();
+    const run = {
+      runId: crypto.randomUUID(),
+      key,
+      baseId: normalized,
+      tableId,
+      attachmentFieldId,
+      outputFieldId,
+      output: output || {},
+      request: request || {},
+      background: Boolean(background),
+      status: "running",
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: 0
+    };
+    runMap.set(run.runId, run);
+    return { ...run, items: {} };
+  };
+
+  // 只读取运行记录本身，不展开明细
+  const getRunInfo = (runId) => runMap.get(runId) || null;
+
+  const listItems = (runId) =>
+    Array.from(itemKeysByRun.get(runId) || [])
+      .map((key) => itemMap.get(key))
+      .filter(Boolean);
+
+  const getRun = (runId) => {
+    const run = runMap.get(runId);
+    if (!run) {
+      return null;
+    }
+    return { ...run, items: Object.fromEntries(listItems(runId).map((item) => [item.itemId, item])) };
+  };
+
+  const getLatestRun = (params) => {
+    const key = buildRunKey(params);
+    const latest = Array.from(runMap.values())
+      .filter((run) => run.key === key)
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return latest ? getRun(latest.runId) : null;
+  };
+
+  const upsertItems = (runId, items = []) => {
+    const run = runMap.get(runId);
+    if (!run) {
+      return null;
+    }
+    const now = Date.now();
+    items.forEach((item) => {
+      if (!item?.recordId) {
+        return;
+      }
+      const itemId = buildRunItemId(item);
+      const key = buildItemKey(runId, itemId);
+      const prev = itemMap.get(key);
+      const next = { ...(prev || {}), ...item, runId, itemId, updatedAt: now };
+      saveItem(key, next);
+      if (next.status !== prev?.status) {
+        onItemStatusChange?.(run, next);
+      }
+    });
+    return run;
+  };
+
+  const updateItemByTaskId = (runId, taskId, patch) => {
+    const run = runMap.get(runId);
+    if (!run || !taskId) {
+      return null;
+    }
+    const item = itemMap.get(itemKeyByTaskId.get(taskId));
+    if (!item || item.runId !== runId || item.taskId !== taskId) {
+      return null;
+    }
+    // 轮询中的重复状态不必每次落盘
+    if (Object.entries(patch).every(([key, value]) => item[key] === value)) {
+      return run;
+    }
+    return upsertItems(runId, [{ ...item, ...patch }]);
+  };
+
+  const finishRun = (runId, status) => {
+    const current = runMap.get(runId);
+    if (!current) {
+      return null;
+    }
+    const finishedAt = Date.now();
+    const run = { ...current, status: status || "completed", finishedAt, updatedAt: finishedAt };
+    runMap.set(runId, run);
+    return run;
+  };
+
+  return {
+    startRun,
+    getRun,
+    getRunInfo,
+    getLatestRun,
+    listItems,
+    upsertItems,
+    updateItemByTaskId,
+    finishRun
+  };
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { createRunStore } from "./run.js";
+import { createRecordingStorage } from "../storage/testing.js";
+
+describe("run store", () => {
+  const runParams = { baseId: "base-1", tableId: "tbl-1", attachmentFieldId: "fld-a", outputFieldId: "fld-o" };
+
+  it("keeps only the latest run per table and field pair", () => {
+    const store = createRunStore({});
+    const first = store.startRun(runParams);
+    const second = store.startRun(runParams);
+    expect(store.getRun(first.runId)).toBe(null);
+    expect(store.getLatestRun(runParams).runId).toBe(second.runId);
+    expect(store.getLatestRun({ ...runParams, outputFieldId: "fld-x" })).toBe(null);
+  });
+
+  it("tracks item status by task id", () => {
+    const store = createRunStore({});
+    const run = store.startRun(runParams);
+    store.upsertItems(run.runId, [{ recordId: "rec-1", fileToken: "tok-1", taskId: "task-1", status: "submitted" }]);
+    store.updateItemByTaskId(run.runId, "task-1", { status: "done", logId: "log-1" });
+    const item = store.getRun(run.runId).items["rec-1:tok-1"];
+    expect(item.status).toBe("done");
+    expect(item.taskId).toBe("task-1");
+    expect(item.logId).toBe("log-1");
+  });
+
+  it("writes only the changed item and finds items by task id through an index", () => {
+    const { storage, batches, committed } = createRecordingStorage();
+    const store = createRunStore({ storage });
+    const run = store.startRun(runParams);
+    store.upsertItems(
+      run.runId,
+      Array.from({ length: 3 }, (_, index) => ({
+        recordId: `rec-${index}`,
+        fileToken: "tok",
+        taskId: `task-${index}`,
+        status: "submitted"
+      }))
+    );
+    batches.length = 0;
+    store.updateItemByTaskId(run.runId, "task-2", { status: "done" });
+    expect(batches.flat().map(({ collection, key }) => `${collection}:${key}`)).toEqual([
+      `runItemsById:${run.runId}:rec-2:tok`
+    ]);
+    expect(store.updateItemByTaskId("other-run", "task-2", { status: "failed" })).toBe(null);
+
+    const restored = createRunStore({
+      runsById: { [run.runId]: committed.get(`runsById:${run.runId}`) },
+      runItemsById: Object.fromEntries(
+        Array.from(committed.entries())
+          .filter(([key]) => key.startsWith("runItemsById:"))
+          .map(([key, value]) => [key.slice("runItemsById:".length), value])
+      )
+    });
+    restored.updateItemByTaskId(run.runId, "task-1", { status: "failed" });
+    expect(Object.values(restored.getRun(run.runId).items).map((item) => item.status)).toEqual([
+      "submitted",
+      "failed",
+      "done"
+    ]);
+    restored.startRun(runParams);
+    expect(restored.listItems(run.runId)).toEqual([]);
+  });
+
+  it("moves items saved inside legacy run records into the item collection", () => {
+    const store = createRunStore({
+      runsById: {
+        "run-1": {
+          runId: "run-1",
+          key: "k",
+          baseId: "base-1",
+          items: { "rec-1:tok": { itemId: "rec-1:tok", recordId: "rec-1", fileToken: "tok", taskId: "task-1" } }
+        }
+      }
+    });
+    expect(store.getRunInfo("run-1").items).toBeUndefined();
+    store.updateItemByTaskId("run-1", "task-1", { status: "done" });
+    expect(store.getRun("run-1").items["rec-1:tok"].status).toBe("done");
+  });
+});
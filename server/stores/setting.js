@@ -0,0 +1,26 @@
+import { createCollection } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const createSettingStore = ({ settingsByBaseId = {}, storage }) => {
+  const settingMap = createCollection({ storage, name: "settingsByBaseId", entries: settingsByBaseId });
+
+  const getSettings = (baseId) => {
+    const normalized = normalizeBaseId(baseId);
+    return (normalized && settingMap.get(normalized)) || {};
+  };
+
+  const updateSettings = (baseId, patch) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized) {
+      return null;
+    }
+    const next = { ...(settingMap.get(normalized) || {}), ...patch, updatedAt: Date.now() };
+    settingMap.set(normalized, next);
+    return next;
+  };
+
+  return {
+    getSettings,
+    updateSettings
+  };
+};
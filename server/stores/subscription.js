@@ -1,4 +1,6 @@
 import crypto from "node:crypto";
+import { listKey } from "../storage/common.js";
+import { createCollection, runWithoutStorage } from "../storage/collection.js";
 
 export const normalizeBaseId = (value) => {
   if (typeof value !== "string") {
@@ -37,18 +39,30 @@ export const mergeRedeemCodes = (baseList = [], extraList = []) => {
 };
 
 export const createSubscriptionStore = ({
-  trialLimit,
+  trialMinutes,
   paidBaseIds,
   adminBaseIds,
   allowBypass,
   paidUntilByBaseId = {},
   redeemCodes = [],
-  onPersist
+  trialUsageByBaseId = {},
+  storage
 }) => {
-  const usage = new Map();
-  const paidUntilMap = new Map(Object.entries(paidUntilByBaseId));
+  const transaction = storage ? storage.transaction : runWithoutStorage;
+  const trialUsageMap = createCollection({ storage, name: "trialUsageByBaseId", entries: trialUsageByBaseId });
+  const paidUntilMap = createCollection({ storage, name: "paidUntilByBaseId", entries: paidUntilByBaseId });
   const adminSet = new Set(adminBaseIds || []);
   const redeemList = Array.isArray(redeemCodes) ? [...redeemCodes] : [];
+  const initialRedeemList = structuredClone(redeemList);
+
+  // 数组类集合整体写入；事务失败时恢复为已提交的内容，从未写入过时保留启动时合并的种子数据
+  storage?.onRollback("adminBaseIdList", (key, committed) => {
+    adminSet.clear();
+    [...(adminBaseIds || []), ...(committed || [])].forEach((item) => adminSet.add(item));
+  });
+  storage?.onRollback("redeemCodes", (key, committed) => {
+    redeemList.splice(0, redeemList.length, ...structuredClone(committed || initialRedeemList));
+  });
 
   const buildStatus = ({ baseId, isPaid, freeRemaining, allowed, message, paidUntil }) => {
     return {
@@ -71,13 +85,6 @@ export const createSubscriptionStore = ({
       return;
     }
     paidUntilMap.set(baseId, String(until));
-    if (onPersist) {
-      onPersist({
-        paidUntilByBaseId: Object.fromEntries(paidUntilMap.entries()),
-        adminBaseIdList: Array.from(adminSet),
-        redeemCodes: redeemList
-      });
-    }
   };
 
   const setAdmin = (baseId, enabled) => {
@@ -90,13 +97,7 @@ export const createSubscriptionStore = ({
     } else {
       adminSet.delete(normalized);
     }
-    if (onPersist) {
-      onPersist({
-        paidUntilByBaseId: Object.fromEntries(paidUntilMap.entries()),
-        adminBaseIdList: Array.from(adminSet),
-        redeemCodes: redeemList
-      });
-    }
+    storage?.upsert("adminBaseIdList", listKey, Array.from(adminSet));
     return true;
   };
 
@@ -106,41 +107,30 @@ export const createSubscriptionStore = ({
     }
     const codeHash = hashCode(code);
     redeemList.push({ codeHash, durationMs, usedAt: 0, usedBy: "" });
-    if (onPersist) {
-      onPersist({
-        paidUntilByBaseId: Object.fromEntries(paidUntilMap.entries()),
-        adminBaseIdList: Array.from(adminSet),
-        redeemCodes: redeemList
-      });
-    }
+    storage?.upsert("redeemCodes", listKey, redeemList);
     return true;
   };
 
-  const redeem = ({ baseId, code }) => {
-    const normalized = normalizeBaseId(baseId);
-    if (!normalized || !code) {
-      return { ok: false, message: "缺少 baseId 或兑换码" };
-    }
-    const codeHash = hashCode(code);
-    const item = redeemList.find((x) => x.codeHash === codeHash);
-    if (!item) {
-      return { ok: false, message: "兑换码无效" };
-    }
-    if (item.usedAt && item.usedBy) {
-      return { ok: false, message: "兑换码已使用" };
-    }
-    const paidUntil = activatePlan({ baseId: normalized, durationMs: item.durationMs, paidAt: Date.now() });
-    item.usedAt = Date.now();
-    item.usedBy = normalized;
-    if (onPersist) {
-      onPersist({
-        paidUntilByBaseId: Object.fromEntries(paidUntilMap.entries()),
-        adminBaseIdList: Array.from(adminSet),
-        redeemCodes: redeemList
-      });
-    }
-    return { ok: true, paidUntil };
-  };
+  const redeem = ({ baseId, code }) =>
+    transaction(() => {
+      const normalized = normalizeBaseId(baseId);
+      if (!normalized || !code) {
+        return { ok: false, message: "缺少 baseId 或兑换码" };
+      }
+      const codeHash = hashCode(code);
+      const index = redeemList.findIndex((x) => x.codeHash === codeHash);
+      const item = redeemList[index];
+      if (!item) {
+        return { ok: false, message: "兑换码无效" };
+      }
+      if (item.usedAt && item.usedBy) {
+        return { ok: false, message: "兑换码已使用" };
+      }
+      const paidUntil = activatePlan({ baseId: normalized, durationMs: item.durationMs, paidAt: Date.now() });
+      redeemList[index] = { ...item, usedAt: Date.now(), usedBy: normalized };
+      storage?.upsert("redeemCodes", listKey, redeemList);
+      return { ok: true, paidUntil };
+    });
 
   const isPaid = (baseId) => {
     if (adminSet.has(baseId)) {
@@ -160,8 +150,8 @@ export const createSubscriptionStore = ({
   };
 
   const getFreeRemaining = (baseId) => {
-    const used = usage.get(baseId) || 0;
-    return Math.max(0, trialLimit - used);
+    const used = Number(trialUsageMap.get(baseId)) || 0;
+    return Math.max(0, trialMinutes - used);
   };
 
   const getStatus = (rawBaseId) => {
@@ -179,7 +169,7 @@ export const createSubscriptionStore = ({
       return buildStatus({
         baseId,
         isPaid: true,
-        freeRemaining: trialLimit,
+        freeRemaining: trialMinutes,
         allowed: true,
         message: "开发环境已放行",
         paidUntil: Number.MAX_SAFE_INTEGER
@@ -190,7 +180,7 @@ export const createSubscriptionStore = ({
       return buildStatus({
         baseId,
         isPaid: true,
-        freeRemaining: trialLimit,
+        freeRemaining: trialMinutes,
         allowed: true,
         message: paidInfo.admin ? "管理员免付" : "已开通",
         paidUntil: paidInfo.paidUntil
@@ -202,80 +192,57 @@ export const createSubscriptionStore = ({
       isPaid: false,
       freeRemaining,
       allowed: freeRemaining > 0,
-      message: freeRemaining > 0 ? `剩余试用 ${freeRemaining} 次` : "试用已用完",
+      message: freeRemaining > 0 ? `剩余试用 ${freeRemaining} 分钟` : "试用时长已用完",
       paidUntil: paidInfo.paidUntil
     });
   };
 
-  const consume = (rawBaseId) => {
+  // 试用额度按实际转写时长扣减，提交前只做校验，保留该接口兼容旧版前端
+  const consume = (rawBaseId) => getStatus(rawBaseId);
+
+  // 与模型用量同一路径记账；已付费、管理员与放行环境不消耗试用时长
+  const recordTrialUsage = ({ baseId, minutes }) =>
+    transaction(() => {
+      const normalized = normalizeBaseId(baseId);
+      const resolvedMinutes = Number(minutes);
+      if (!normalized || allowBypass || !Number.isFinite(resolvedMinutes) || resolvedMinutes <= 0) {
+        return null;
+      }
+      if (isPaid(normalized).paid) {
+        return null;
+      }
+      const used = (Number(trialUsageMap.get(normalized)) || 0) + resolvedMinutes;
+      trialUsageMap.set(normalized, used);
+      return { usedMinutes: used, freeRemaining: getFreeRemaining(normalized) };
+    });
+
+  // 模型费用从余额扣除；管理员、放行环境与试用中的租户不走余额
+  const isUsageBillable = (rawBaseId) => {
     const baseId = normalizeBaseId(rawBaseId);
-    if (!baseId) {
-      return buildStatus({
-        baseId,
-        isPaid: false,
-        freeRemaining: 0,
-        allowed: false,
-        message: "缺少 baseId"
-      });
-    }
-    if (allowBypass) {
-      return buildStatus({
-        baseId,
-        isPaid: true,
-        freeRemaining: trialLimit,
-        allowed: true,
-        message: "开发环境已放行",
-        paidUntil: Number.MAX_SAFE_INTEGER
-      });
+    if (!baseId || allowBypass) {
+      return false;
     }
     const paidInfo = isPaid(baseId);
-    if (paidInfo.paid) {
-      return buildStatus({
-        baseId,
-        isPaid: true,
-        freeRemaining: trialLimit,
-        allowed: true,
-        message: paidInfo.admin ? "管理员免付" : "已开通",
-        paidUntil: paidInfo.paidUntil
-      });
-    }
-    const freeRemaining = getFreeRemaining(baseId);
-    if (freeRemaining <= 0) {
-      return buildStatus({
-        baseId,
-        isPaid: false,
-        freeRemaining: 0,
-        allowed: false,
-        message: "试用已用完",
-        paidUntil: paidInfo.paidUntil
-      });
-    }
-    usage.set(baseId, (usage.get(baseId) || 0) + 1);
-    const nextRemaining = getFreeRemaining(baseId);
-    return buildStatus({
-      baseId,
-      isPaid: false,
-      freeRemaining: nextRemaining,
-      allowed: true,
-      message: nextRemaining > 0 ? `剩余试用 ${nextRemaining} 次` : "试用已用完",
-      paidUntil: paidInfo.paidUntil
-    });
+    return paidInfo.paid && !paidInfo.admin;
   };
 
-  const activatePlan = ({ baseId, durationMs, paidAt }) => {
-    const normalized = normalizeBaseId(baseId);
-    if (!normalized || !durationMs) {
-      return null;
-    }
-    const start = Math.max(Date.now(), paidAt || Date.now(), getPaidUntil(normalized));
-    const nextUntil = start + durationMs;
-    setPaidUntil(normalized, nextUntil);
-    return nextUntil;
-  };
+  const activatePlan = ({ baseId, durationMs, paidAt }) =>
+    transaction(() => {
+      const normalized = normalizeBaseId(baseId);
+      if (!normalized || !durationMs) {
+        return null;
+      }
+      const start = Math.max(Date.now(), paidAt || Date.now(), getPaidUntil(normalized));
+      const nextUntil = start + durationMs;
+      setPaidUntil(normalized, nextUntil);
+      return nextUntil;
+    });
 
   return {
     getStatus,
     consume,
+    recordTrialUsage,
+    isUsageBillable,
     activatePlan,
     getPaidUntil,
     setAdmin,
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import path from "node:path";
+import { createSqliteStorage } from "../storage/sqlite.js";
+import { createSubscriptionStore, normalizeBaseId, parsePaidBaseIds } from "./subscription.js";
+
+describe("subscription store", () => {
+  it("normalizeBaseId trims value", () => {
+    expect(normalizeBaseId("  base123 ")).toBe("base123");
+    expect(normalizeBaseId(null)).toBe("");
+  });
+
+  it("parsePaidBaseIds handles csv", () => {
+    const ids = parsePaidBaseIds("a, b ,c");
+    expect(ids.has("a")).toBe(true);
+    expect(ids.has("b")).toBe(true);
+    expect(ids.has("c")).toBe(true);
+  });
+
+  it("deducts trial minutes from recorded usage and keeps them across restarts", () => {
+    const storage = createSqliteStorage({ path: ":memory:" });
+    const createStore = () =>
+      createSubscriptionStore({
+        trialMinutes: 10,
+        paidBaseIds: new Set(),
+        adminBaseIds: new Set(),
+        allowBypass: false,
+        trialUsageByBaseId: storage.load().trialUsageByBaseId,
+        storage
+      });
+    const store = createStore();
+    expect(store.consume("base-1").freeRemaining).toBe(10);
+    expect(store.consume("base-1").freeRemaining).toBe(10);
+    expect(store.recordTrialUsage({ baseId: "base-1", minutes: 4 })).toEqual({ usedMinutes: 4, freeRemaining: 6 });
+    const restarted = createStore();
+    expect(restarted.getStatus("base-1").freeRemaining).toBe(6);
+    restarted.recordTrialUsage({ baseId: "base-1", minutes: 7 });
+    const status = restarted.getStatus("base-1");
+    expect(status.freeRemaining).toBe(0);
+    expect(status.allowed).toBe(false);
+    storage.close();
+  });
+
+  it("paid base bypasses trial", () => {
+    const store = createSubscriptionStore({
+      trialMinutes: 1,
+      paidBaseIds: new Set(["base-2"]),
+      adminBaseIds: new Set(),
+      allowBypass: false
+    });
+    const status = store.consume("base-2");
+    expect(status.allowed).toBe(true);
+    expect(status.isPaid).toBe(true);
+    expect(store.recordTrialUsage({ baseId: "base-2", minutes: 5 })).toBeNull();
+    expect(store.getStatus("base-2").freeRemaining).toBe(1);
+  });
+
+  it("activatePlan marks tenant as paid", () => {
+    const store = createSubscriptionStore({
+      trialMinutes: 1,
+      paidBaseIds: new Set(),
+      adminBaseIds: new Set(),
+      allowBypass: false
+    });
+    const paidUntil = store.activatePlan({ baseId: "base-3", durationMs: 1000, paidAt: Date.now() });
+    expect(paidUntil).toBeGreaterThan(Date.now());
+    const status = store.getStatus("base-3");
+    expect(status.isPaid).toBe(true);
+  });
+
+  it("activatePlan extends existing paid period", () => {
+    const store = createSubscriptionStore({
+      trialMinutes: 1,
+      paidBaseIds: new Set(),
+      adminBaseIds: new Set(),
+      allowBypass: false
+    });
+    const first = store.activatePlan({ baseId: "base-4", durationMs: 1000, paidAt: Date.now() });
+    const second = store.activatePlan({ baseId: "base-4", durationMs: 1000, paidAt: Date.now() });
+    expect(second).toBeGreaterThan(first);
+  });
+
+  it("admin base is always paid", () => {
+    const store = createSubscriptionStore({
+      trialMinutes: 1,
+      paidBaseIds: new Set(),
+      adminBaseIds: new Set(["admin-base"]),
+      allowBypass: false
+    });
+    const status = store.getStatus("admin-base");
+    expect(status.isPaid).toBe(true);
+    expect(status.allowed).toBe(true);
+    expect(status.message).toBe("管理员免付");
+  });
+
+  it("only bills paid tenants that are not admins", () => {
+    const store = createSubscriptionStore({
+      trialMinutes: 10,
+      paidBaseIds: new Set(["paid-base"]),
+      adminBaseIds: new Set(["admin-base"]),
+      allowBypass: false
+    });
+    expect(store.isUsageBillable("paid-base")).toBe(true);
+    expect(store.isUsageBillable("admin-base")).toBe(false);
+    expect(store.isUsageBillable("trial-base")).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+import { createCollection } from "../storage/collection.js";
+
+const taskMetaTtlMs = 7 * 24 * 60 * 60 * 1000;
+
+// 识别任务提交时的租户与词表快照，以及完成后生成的摘要、译文等派生结果；
+// 查询时以提交时的记录为准，派生结果只生成一次
+export const createTaskMetaStore = ({ taskMetaById = {}, storage }) => {
+  const metaMap = createCollection({ storage, name: "taskMetaById", entries: taskMetaById });
+
+  const pruneExpired = (now) => {
+    metaMap.forEach((meta, taskId) => {
+      if (now - (meta.createdAt || now) > taskMetaTtlMs) {
+        metaMap.delete(taskId);
+      }
+    });
+  };
+
+  const saveTaskMeta = (taskId, meta, now = Date.now()) => {
+    if (!taskId) {
+      return null;
+    }
+    pruneExpired(now);
+    const next = { ...meta, createdAt: now };
+    metaMap.set(taskId, next);
+    return next;
+  };
+
+  const getTaskMeta = (taskId) => metaMap.get(taskId) || null;
+
+  const getDerived = (taskId, key) => metaMap.get(taskId)?.derived?.[key] ?? null;
+
+  // 提交记录已过期或早于本功能的任务也保存派生结果，避免重复生成
+  const saveDerived = (taskId, key, value, now = Date.now()) => {
+    if (!taskId) {
+      return null;
+    }
+    const meta = metaMap.get(taskId) || { createdAt: now };
+    const next = { ...meta, derived: { ...(meta.derived || {}), [key]: value } };
+    metaMap.set(taskId, next);
+    return next;
+  };
+
+  return {
+    saveTaskMeta,
+    getTaskMeta,
+    getDerived,
+    saveDerived
+  };
+};
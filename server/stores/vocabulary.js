@@ -0,0 +1,86 @@
+import crypto from "node:crypto";
+import { createCollection } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const maxHotwords = 500;
+export const maxReplacements = 500;
+
+const emptyVocabulary = () => ({ hotwords: [], replacements: [] });
+
+export const normalizeHotwords = (words) =>
+  Array.from(
+    new Set(
+      (Array.isArray(words) ? words : [])
+        .map((word) => String(word ?? "").trim())
+        .filter((word) => word && word.length <= 50)
+    )
+  ).slice(0, maxHotwords);
+
+export const createVocabularyStore = ({ vocabularyByBaseId = {}, storage }) => {
+  const vocabularyMap = createCollection({ storage, name: "vocabularyByBaseId", entries: vocabularyByBaseId });
+
+  const getVocabulary = (baseId) => {
+    const normalized = normalizeBaseId(baseId);
+    return { ...emptyVocabulary(), ...((normalized && vocabularyMap.get(normalized)) || {}) };
+  };
+
+  const saveVocabulary = (normalized, patch) => {
+    const next = { ...getVocabulary(normalized), ...patch, updatedAt: Date.now() };
+    vocabularyMap.set(normalized, next);
+    return next;
+  };
+
+  const setHotwords = (baseId, words) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized) {
+      return null;
+    }
+    return saveVocabulary(normalized, { hotwords: normalizeHotwords(words) });
+  };
+
+  const addReplacement = (baseId, { from, to }) => {
+    const normalized = normalizeBaseId(baseId);
+    if (!normalized) {
+      return null;
+    }
+    const { replacements } = getVocabulary(normalized);
+    if (replacements.length >= maxReplacements) {
+      return null;
+    }
+    const rule = { id: crypto.randomUUID(), from, to, createdAt: Date.now() };
+    saveVocabulary(normalized, { replacements: [...replacements, rule] });
+    return rule;
+  };
+
+  const updateReplacement = (baseId, ruleId, { from, to }) => {
+    const normalized = normalizeBaseId(baseId);
+    const { replacements } = getVocabulary(normalized);
+    const rule = replacements.find((item) => item.id === ruleId);
+    if (!normalized || !rule) {
+      return null;
+    }
+    const next = { ...rule, from, to, updatedAt: Date.now() };
+    saveVocabulary(normalized, {
+      replacements: replacements.map((item) => (item.id === ruleId ? next : item))
+    });
+    return next;
+  };
+
+  const removeReplacement = (baseId, ruleId) => {
+    const normalized = normalizeBaseId(baseId);
+    const { replacements } = getVocabulary(normalized);
+    if (!normalized || !replacements.some((item) => item.id === ruleId)) {
+      return false;
+    }
+    saveVocabulary(normalized, { replacements: replacements.filter((item) => item.id !== ruleId) });
+    return true;
+  };
+
+  return {
+    getVocabulary,
+    setHotwords,
+    addReplacement,
+    updateReplacement,
+    removeReplacement
+  };
+};
@@ -0,0 +1,67 @@
+import crypto from "node:crypto";
+import { createCollection, runWithoutStorage } from "../storage/collection.js";
+import { normalizeBaseId } from "./subscription.js";
+
+export const walletEntryTypes = ["topup", "debit", "adjust"];
+
+const roundAmount = (value) => Number(Number(value).toFixed(4));
+
+export const createWalletStore = ({ walletBalanceByBaseId = {}, walletLedgerById = {}, storage }) => {
+  const balanceMap = createCollection({ storage, name: "walletBalanceByBaseId", entries: walletBalanceByBaseId });
+  const ledgerMap = createCollection({ storage, name: "walletLedgerById", entries: walletLedgerById });
+  const transaction = storage ? storage.transaction : runWithoutStorage;
+
+  const getBalance = (baseId) => Number(balanceMap.get(normalizeBaseId(baseId))) || 0;
+
+  // 每次余额变动都记一条流水，流水中保存变动后的余额便于对账
+  const addEntry = ({ baseId, type, amount, orderId, taskId, note }) =>
+    transaction(() => {
+      const normalized = normalizeBaseId(baseId);
+      const value = Number(amount);
+      if (!normalized || !walletEntryTypes.includes(type) || !Number.isFinite(value) || value === 0) {
+        return null;
+      }
+      const balance = roundAmount(getBalance(normalized) + value);
+      const entry = {
+        entryId: crypto.randomUUID(),
+        baseId: normalized,
+        type,
+        amount: roundAmount(value),
+        balance,
+        orderId: orderId || "",
+        taskId: taskId || "",
+        note: note || "",
+        createdAt: Date.now()
+      };
+      balanceMap.set(normalized, balance);
+      ledgerMap.set(entry.entryId, entry);
+      return entry;
+    });
+
+  const topUp = ({ baseId, amount, orderId }) =>
+    Number(amount) > 0 ? addEntry({ baseId, type: "topup", amount, orderId }) : null;
+
+  // 用量在任务完成后才确定，扣费允许余额变为负数，由提交前的余额校验拦截后续任务
+  const debit = ({ baseId, amount, taskId, note }) =>
+    Number(amount) > 0 ? addEntry({ baseId, type: "debit", amount: -Number(amount), taskId, note }) : null;
+
+  const adjust = ({ baseId, amount, note }) => addEntry({ baseId, type: "adjust", amount, note });
+
+  const listLedger = ({ baseId, limit } = {}) => {
+    const normalized = normalizeBaseId(baseId);
+    // 同一毫秒内的多条流水按写入顺序倒序
+    const entries = Array.from(ledgerMap.values())
+      .reverse()
+      .filter((entry) => !normalized || entry.baseId === normalized)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return limit ? entries.slice(0, limit) : entries;
+  };
+
+  return {
+    getBalance,
+    topUp,
+    debit,
+    adjust,
+    listLedger
+  };
+};
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import path from "node:path";
+import { createWalletStore } from "./wallet.js";
+import { createSqliteStorage } from "../storage/sqlite.js";
+
+describe("wallet store", () => {
+  it("keeps a ledger of top-ups, debits and adjustments", () => {
+    const storage = createSqliteStorage({ path: ":memory:" });
+    const store = createWalletStore({ storage });
+    store.topUp({ baseId: "base-1", amount: 50, orderId: "order-1" });
+    store.debit({ baseId: "base-1", amount: 0.3251, taskId: "task-1" });
+    expect(store.debit({ baseId: "base-1", amount: 0, taskId: "task-2" })).toBe(null);
+    store.adjust({ baseId: "base-1", amount: -60, note: "退款" });
+    expect(store.getBalance("base-1")).toBe(-10.3251);
+    expect(store.getBalance("base-2")).toBe(0);
+
+    const restored = createWalletStore(storage.load());
+    const ledger = restored.listLedger({ baseId: "base-1" });
+    expect(ledger.map((entry) => entry.type)).toEqual(["adjust", "debit", "topup"]);
+    expect(ledger.map((entry) => entry.balance)).toEqual([-10.3251, 49.6749, 50]);
+    expect(ledger[2].orderId).toBe("order-1");
+    expect(restored.listLedger({ baseId: "base-1", limit: 1 })).toHaveLength(1);
+    storage.close();
+  });
+});
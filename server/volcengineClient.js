@@ -19,7 +19,10 @@ export const buildSubmitPayload = ({
   enableItn,
   enablePunc,
   enableDdc,
-  showUtterances
+  showUtterances,
+  enableSpeakerInfo,
+  hotwords,
+  callbackUrl
 }) => ({
   user: {
     uid: "feishu_bitable_plugin"
@@ -35,7 +38,12 @@ export const buildSubmitPayload = ({
     enable_itn: enableItn ?? true,
     enable_punc: enablePunc ?? true,
     enable_ddc: enableDdc ?? false,
-    show_utterances: showUtterances ?? false
+    show_utterances: enableSpeakerInfo ? true : showUtterances ?? false,
+    enable_speaker_info: enableSpeakerInfo ?? false,
+    corpus: hotwords?.length
+      ? { context: JSON.stringify({ hotwords: hotwords.map((word) => ({ word })) }) }
+      : undefined,
+    callback: callbackUrl || undefined
   }
 });
 
@@ -52,6 +60,50 @@ export const extractText = (result) => {
   return "";
 };
 
+export const extractUtterances = (result) => {
+  if (!result || !Array.isArray(result.utterances)) {
+    return [];
+  }
+  return result.utterances
+    .map((item) => {
+      const speaker = item?.additions?.speaker ?? item?.speaker;
+      return {
+        text: item?.text || "",
+        start_time: Number(item?.start_time),
+        end_time: Number(item?.end_time),
+        ...(speaker !== undefined && speaker !== null && speaker !== "" ? { speaker: String(speaker) } : {})
+      };
+    })
+    .filter((item) => item.text && Number.isFinite(item.start_time) && Number.isFinite(item.end_time));
+};
+
+const buildSpeakerLabels = (utterances) => {
+  const labels = new Map();
+  utterances.forEach((item) => {
+    if (item.speaker !== undefined && !labels.has(item.speaker)) {
+      labels.set(item.speaker, `说话人${labels.size + 1}`);
+    }
+  });
+  return labels;
+};
+
+export const countSpeakers = (utterances = []) => buildSpeakerLabels(utterances).size;
+
+export const formatSpeakerText = (utterances = []) => {
+  const labels = buildSpeakerLabels(utterances);
+  const blocks = [];
+  utterances.forEach((item) => {
+    const label = labels.get(item.speaker) || "说话人";
+    const last = blocks[blocks.length - 1];
+    if (last && last.label === label) {
+      last.texts.push(item.text);
+      return;
+    }
+    blocks.push({ label, texts: [item.text] });
+  });
+  return blocks.map((block) => `${block.label}: ${block.texts.join("")}`).join("\n\n");
+};
+
 export const extractDurationMs = (result) => {
   if (!result) {
     return 0;
@@ -81,8 +133,7 @@ export const createVolcengineClient = ({ appId, accessKey, resourceId, fetchImpl
   const submitUrl = "https://openspeech.bytedance.com/api/v3/auc/bigmodel/submit";
   const queryUrl = "https://openspeech.bytedance.com/api/v3/auc/bigmodel/query";
 
-  const submitTask = async (payload) => {
-    const requestId = crypto.randomUUID();
+  const submitTask = async (payload, { requestId = crypto.randomUUID() } = {}) => {
     const response = await fetcher(submitUrl, {
       method: "POST",
       headers: {
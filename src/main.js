@@ -1,26 +1,66 @@
-import { bitable, FieldType } from "@lark-base-open/js-sdk";
+import { bitable, FieldType, FilterConjunction, FilterOperator } from "@lark-base-open/js-sdk";
+import {
+  getLinkedRecordIds,
+  getSplitLinkFields,
+  hasWrittenOutput,
+  planSplitRecordWrites
+} from "./records.js";
 import "./style.css";
 
 const attachmentSelect = document.getElementById("attachmentField");
 const outputSelect = document.getElementById("outputField");
+const outputFormatSelect = document.getElementById("outputFormat");
+const recordScopeSelect = document.getElementById("recordScope");
+const scopeFilterEl = document.getElementById("scopeFilter");
+const scopeFilterFieldSelect = document.getElementById("scopeFilterField");
+const scopeFilterValueInput = document.getElementById("scopeFilterValue");
+const asrProviderSelect = document.getElementById("asrProvider");
 const languageSelect = document.getElementById("language");
 const modelVersionSelect = document.getElementById("modelVersion");
 const enableItnToggle = document.getElementById("enableItn");
 const enablePuncToggle = document.getElementById("enablePunc");
 const enableDdcToggle = document.getElementById("enableDdc");
 const showUtterancesToggle = document.getElementById("showUtterances");
+const enableSpeakerInfoToggle = document.getElementById("enableSpeakerInfo");
+const preprocessMediaToggle = document.getElementById("preprocessMedia");
+const targetLanguageSelect = document.getElementById("targetLanguage");
+const translationFieldSelect = document.getElementById("translationField");
+const attachmentOutputModeSelect = document.getElementById("attachmentOutputMode");
+const splitLinkFieldEl = document.getElementById("splitLinkField");
+const linkFieldSelect = document.getElementById("linkField");
+const speakerCountSelect = document.getElementById("speakerCountField");
+const durationFieldSelect = document.getElementById("durationField");
+const statusFieldSelect = document.getElementById("statusField");
+const errorFieldSelect = document.getElementById("errorField");
+const processedAtFieldSelect = document.getElementById("processedAtField");
+const languageFieldSelect = document.getElementById("languageField");
+const summaryFieldSelect = document.getElementById("summaryField");
+const keywordsFieldSelect = document.getElementById("keywordsField");
+const actionItemsFieldSelect = document.getElementById("actionItemsField");
 const skipExistingOutputToggle = document.getElementById("skipExistingOutput");
+const backgroundJobsToggle = document.getElementById("backgroundJobs");
+const watchModeToggle = document.getElementById("watchMode");
 const runButton = document.getElementById("runButton");
 const stopButton = document.getElementById("stopButton");
+const resumeButton = document.getElementById("resumeButton");
+const exportCsvButton = document.getElementById("exportCsvButton");
+const exportXlsxButton = document.getElementById("exportXlsxButton");
 const statusEl = document.getElementById("status");
 const progressEl = document.getElementById("progress");
+const jobBoardEl = document.getElementById("jobBoard");
+const jobSummaryEl = document.getElementById("jobSummary");
+const jobTableBodyEl = document.getElementById("jobTableBody");
 const tabButtons = document.querySelectorAll("[data-page-target]");
 const pages = document.querySelectorAll(".page");
 const subscriptionStatusEl = document.getElementById("subscriptionStatus");
 const subscriptionDetailEl = document.getElementById("subscriptionDetail");
 const trialRemainingEl = document.getElementById("trialRemaining");
 const tenantBaseIdEl = document.getElementById("tenantBaseId");
+const defaultAsrProviderSelect = document.getElementById("defaultAsrProvider");
 const planListEl = document.getElementById("planList");
+const walletBalanceEl = document.getElementById("walletBalance");
+const topUpListEl = document.getElementById("topUpList");
+const walletLedgerBodyEl = document.getElementById("walletLedgerBody");
 const modelUnitPriceEl = document.getElementById("modelUnitPrice");
 const modelUsageDailyMinutesEl = document.getElementById("modelUsageDailyMinutes");
 const modelUsageDailyCostEl = document.getElementById("modelUsageDailyCost");
@@ -29,13 +69,44 @@ const modelUsageCostEl = document.getElementById("modelUsageCost");
 
 const state = {
   table: null,
+  fields: [],
   attachmentFields: [],
+  linkSourceFields: [],
   textFields: [],
-  baseId: ""
+  numberFields: [],
+  linkFields: [],
+  baseId: "",
+  lastRunId: ""
 };
 
 let shouldStop = false;
 
+// 进度表按附件记录最新事件，后台任务以 jobId 区分，前台任务以运行记录中的附件区分
+const jobBoard = {
+  rows: new Map(),
+  source: null,
+  startedAt: 0,
+  renderTimer: null
+};
+
+const jobStatusLabels = {
+  queued: "排队中",
+  submitted: "已提交",
+  running: "识别中",
+  done: "完成",
+  failed: "失败"
+};
+
+const watchState = {
+  unsubscribers: [],
+  queue: new Set(),
+  modified: new Set(),
+  processedTokens: new Map(),
+  timer: null,
+  draining: false,
+  context: null
+};
+
 const parsePositiveInt = (value, fallback) => {
   const parsed = Number.parseInt(value, 10);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
@@ -51,6 +122,12 @@ const allowedFormats = new Set(
 const maxAttachmentSizeMb = Number(import.meta.env?.VITE_MAX_ATTACHMENT_MB || "200");
 const maxAttachmentSizeBytes =
   Number.isFinite(maxAttachmentSizeMb) && maxAttachmentSizeMb > 0 ? maxAttachmentSizeMb * 1024 * 1024 : 200 * 1024 * 1024;
+// 服务端提取音频后只提交小体积音频，原始附件上限可以放宽
+const maxPreprocessSizeMb = Number(import.meta.env?.VITE_MAX_PREPROCESS_MB || "4096");
+const maxPreprocessSizeBytes =
+  Number.isFinite(maxPreprocessSizeMb) && maxPreprocessSizeMb > 0 ? maxPreprocessSizeMb * 1024 * 1024 : maxAttachmentSizeBytes;
+// 超长音频在服务端分段识别，整体耗时可能超过数小时
+const maxPollMs = parsePositiveInt(import.meta.env?.VITE_MAX_POLL_MINUTES || "360", 360) * 60 * 1000;
 const concurrencyLimit = Math.min(parsePositiveInt(import.meta.env?.VITE_CONCURRENCY || "3", 3), 50);
 
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -65,6 +142,117 @@ const pushProgress = (line) => {
 
 const clearProgress = () => {
   progressEl.textContent = "";
+  jobBoard.rows.clear();
+  jobBoard.startedAt = 0;
+  renderJobBoard();
+};
+
+const formatEta = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes < 60 ? `约 ${minutes} 分钟` : `约 ${(minutes / 60).toFixed(1)} 小时`;
+};
+
+const renderJobSummary = (rows) => {
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  });
+  const parts = Object.entries(jobStatusLabels)
+    .filter(([status]) => counts[status])
+    .map(([status, label]) => `${label} ${counts[status]}`);
+  const finished = (counts.done || 0) + (counts.failed || 0);
+  const active = rows.length - finished;
+  // 按本次看到的完成速度粗略估算剩余时间
+  if (finished > 0 && active > 0) {
+    parts.push(`剩余 ${formatEta(((Date.now() - jobBoard.startedAt) / finished) * active)}`);
+  }
+  jobSummaryEl.textContent = parts.join(" · ");
+};
+
+const renderJobBoard = () => {
+  const rows = Array.from(jobBoard.rows.values());
+  jobBoardEl.classList.toggle("hidden", rows.length === 0);
+  renderJobSummary(rows);
+  jobTableBodyEl.innerHTML = "";
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    [row.recordId, row.fileName, jobStatusLabels[row.status] || row.status, row.minutes ?? ""].forEach((text, index) => {
+      const td = document.createElement("td");
+      td.textContent = String(text);
+      if (index === 1) td.className = "job-file";
+      if (index === 2) {
+        td.className = `job-status-${row.status}`;
+        td.title = row.error || "";
+      }
+      tr.appendChild(td);
+    });
+    const actionCell = document.createElement("td");
+    if (row.status === "failed" && row.jobId) {
+      const retryButton = document.createElement("button");
+      retryButton.className = "job-retry";
+      retryButton.textContent = "重试";
+      retryButton.addEventListener("click", () => {
+        retryButton.disabled = true;
+        retryBackgroundJob(row).catch((error) => setStatus(error.message || "重试失败"));
+      });
+      actionCell.appendChild(retryButton);
+    }
+    tr.appendChild(actionCell);
+    jobTableBodyEl.appendChild(tr);
+  });
+};
+
+const scheduleJobBoardRender = () => {
+  if (jobBoard.renderTimer) return;
+  jobBoard.renderTimer = setTimeout(() => {
+    jobBoard.renderTimer = null;
+    renderJobBoard();
+  }, 200);
+};
+
+const applyJobEvent = (type, data) => {
+  if (data.tableId && data.tableId !== state.table?.id) {
+    return;
+  }
+  if (type === "billed") {
+    const row = Array.from(jobBoard.rows.values()).find((item) => item.taskId === data.taskId);
+    if (row) {
+      row.minutes = data.minutes;
+      scheduleJobBoardRender();
+    }
+    return;
+  }
+  const key = data.jobId || `${data.runId}:${data.recordId}:${data.fileToken}`;
+  if (!jobBoard.startedAt) {
+    jobBoard.startedAt = Date.now();
+  }
+  jobBoard.rows.set(key, {
+    ...(jobBoard.rows.get(key) || {}),
+    jobId: data.jobId,
+    recordId: data.recordId,
+    fileName: data.fileName,
+    taskId: data.taskId || jobBoard.rows.get(key)?.taskId,
+    error: data.error,
+    status: type
+  });
+  scheduleJobBoardRender();
+};
+
+// 同一多维表格的协作者共享同一个事件流，EventSource 断线后会自动重连
+const connectJobStream = () => {
+  if (jobBoard.source || !state.baseId || typeof EventSource === "undefined") {
+    return;
+  }
+  jobBoard.source = new EventSource(`/api/jobs/stream?${new URLSearchParams({ baseId: state.baseId })}`);
+  ["queued", "submitted", "running", "done", "failed", "billed"].forEach((type) => {
+    jobBoard.source.addEventListener(type, (event) => {
+      try {
+        applyJobEvent(type, JSON.parse(event.data));
+      } catch (error) {
+        console.warn("解析进度事件失败", error);
+      }
+    });
+  });
 };
 
 const setActivePage = (target) => {
@@ -97,6 +285,17 @@ const parseErrorMessage = async (response) => {
   return text;
 };
 
+// 服务端限流返回 429 时附带建议的重试等待时间
+const createResponseError = async (response) => {
+  const error = new Error(await parseErrorMessage(response));
+  error.status = response.status;
+  const retryAfterSeconds = Number(response.headers.get("Retry-After"));
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    error.retryAfterMs = retryAfterSeconds * 1000;
+  }
+  return error;
+};
+
 const postJson = async (url, payload) => {
   const response = await fetch(url, {
     method: "POST",
@@ -104,8 +303,7 @@ const postJson = async (url, payload) => {
     body: JSON.stringify(payload)
   });
   if (!response.ok) {
-    const message = await parseErrorMessage(response);
-    throw new Error(message);
+    throw await createResponseError(response);
   }
   return response.json();
 };
@@ -113,8 +311,7 @@ const postJson = async (url, payload) => {
 const getJson = async (url) => {
   const response = await fetch(url);
   if (!response.ok) {
-    const message = await parseErrorMessage(response);
-    throw new Error(message);
+    throw await createResponseError(response);
   }
   return response.json();
 };
@@ -125,6 +322,31 @@ const formatPlanPrice = (plan) => {
   return `${priceText}元/${plan.label}`;
 };
 
+// 订阅与充值共用下单流程，支付完成后由支付通知开通或入账
+const startCheckout = async (planId, action) => {
+  if (!state.baseId) {
+    subscriptionDetailEl.textContent = "缺少 baseId";
+    return;
+  }
+  action.disabled = true;
+  try {
+    const result = await postJson("/api/billing/checkout", {
+      baseId: state.baseId,
+      planId
+    });
+    if (result.payUrl) {
+      window.open(result.payUrl, "_blank");
+      subscriptionDetailEl.textContent = "已生成支付链接，请完成支付后刷新订阅状态";
+    } else {
+      subscriptionDetailEl.textContent = "暂未配置支付链接，请联系服务方";
+    }
+  } catch (error) {
+    subscriptionDetailEl.textContent = error.message || "创建订单失败";
+  } finally {
+    action.disabled = false;
+  }
+};
+
 const renderPlanList = (plans = []) => {
   planListEl.innerHTML = "";
   if (!plans.length) {
@@ -153,29 +375,7 @@ const renderPlanList = (plans = []) => {
     action.type = "button";
     action.className = "plan-action";
     action.textContent = "立即开通";
-    action.addEventListener("click", async () => {
-      if (!state.baseId) {
-        subscriptionDetailEl.textContent = "缺少 baseId";
-        return;
-      }
-      action.disabled = true;
-      try {
-        const result = await postJson("/api/billing/checkout", {
-          baseId: state.baseId,
-          planId: plan.id
-        });
-        if (result.payUrl) {
-          window.open(result.payUrl, "_blank");
-          subscriptionDetailEl.textContent = "已生成支付链接，请完成支付后刷新订阅状态";
-        } else {
-          subscriptionDetailEl.textContent = "暂未配置支付链接，请联系服务方";
-        }
-      } catch (error) {
-        subscriptionDetailEl.textContent = error.message || "创建订单失败";
-      } finally {
-        action.disabled = false;
-      }
-    });
+    action.addEventListener("click", () => startCheckout(plan.id, action));
 
     card.appendChild(info);
     card.appendChild(action);
@@ -193,6 +393,80 @@ const fetchPlans = async () => {
   }
 };
 
+const walletEntryLabels = { topup: "充值", debit: "扣费", adjust: "调整" };
+
+const renderTopUpList = (topUps = []) => {
+  topUpListEl.innerHTML = "";
+  if (!topUps.length) {
+    topUpListEl.textContent = "暂未配置充值方案";
+    return;
+  }
+  topUps.forEach((plan) => {
+    const card = document.createElement("div");
+    card.className = "plan-card";
+
+    const info = document.createElement("div");
+    info.className = "plan-info";
+
+    const title = document.createElement("div");
+    title.className = "plan-title";
+    title.textContent = plan.label;
+
+    const note = document.createElement("div");
+    note.className = "plan-note";
+    note.textContent = `支付 ${plan.price} 元，到账 ${plan.credit} 元`;
+
+    info.appendChild(title);
+    info.appendChild(note);
+
+    const action = document.createElement("button");
+    action.type = "button";
+    action.className = "plan-action";
+    action.textContent = "充值";
+    action.addEventListener("click", () => startCheckout(plan.id, action));
+
+    card.appendChild(info);
+    card.appendChild(action);
+    topUpListEl.appendChild(card);
+  });
+};
+
+const renderWallet = (wallet) => {
+  walletLedgerBodyEl.innerHTML = "";
+  if (!wallet) {
+    walletBalanceEl.textContent = "-";
+    return;
+  }
+  walletBalanceEl.textContent = wallet.billable ? `${wallet.balance}` : `${wallet.balance}（当前不从余额扣费）`;
+  renderTopUpList(wallet.topUps);
+  wallet.ledger.forEach((entry) => {
+    const row = document.createElement("tr");
+    [
+      new Date(entry.createdAt).toLocaleString(),
+      walletEntryLabels[entry.type] || entry.type,
+      entry.amount > 0 ? `+${entry.amount}` : `${entry.amount}`,
+      `${entry.balance}`
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    walletLedgerBodyEl.appendChild(row);
+  });
+};
+
+const fetchWallet = async () => {
+  if (!state.baseId) {
+    renderWallet(null);
+    return;
+  }
+  try {
+    renderWallet(await getJson(`/api/billing/wallet?baseId=${encodeURIComponent(state.baseId)}`));
+  } catch {
+    renderWallet(null);
+  }
+};
+
 const renderSubscriptionStatus = (status) => {
   if (!status) {
     subscriptionStatusEl.textContent = "未获取到订阅状态";
@@ -208,7 +482,8 @@ const renderSubscriptionStatus = (status) => {
   }
   subscriptionStatusEl.textContent = status.isPaid ? "已开通" : "试用中";
   subscriptionDetailEl.textContent = status.message || "";
-  trialRemainingEl.textContent = Number.isFinite(status.freeRemaining) ? `${status.freeRemaining}` : "-";
+  trialRemainingEl.textContent =
+    !status.isPaid && Number.isFinite(status.freeRemaining) ? `${status.freeRemaining}` : "-";
   tenantBaseIdEl.textContent = status.baseId || "-";
 };
 
@@ -247,11 +522,12 @@ const fetchSubscriptionStatus = async () => {
   }
 };
 
-const consumeSubscription = async () => {
+// 试用时长在转写完成时按分钟扣减，开始前只确认仍有额度
+const checkSubscription = async () => {
   if (!state.baseId) {
     return { allowed: false, message: "缺少 baseId" };
   }
-  const status = await postJson("/api/subscription/consume", { baseId: state.baseId });
+  const status = await postJson("/api/subscription/status", { baseId: state.baseId });
   renderSubscriptionStatus(status);
   return status;
 };
@@ -269,6 +545,53 @@ const fetchUsage = async () => {
   }
 };
 
+// 转写完成后用量、剩余试用时长与余额一起刷新
+const refreshUsage = async () => {
+  await fetchSubscriptionStatus();
+  await fetchUsage();
+  await fetchWallet();
+};
+
+const fetchSettings = async () => {
+  if (!state.baseId) {
+    return;
+  }
+  try {
+    const settings = await postJson("/api/settings/get", { baseId: state.baseId });
+    defaultAsrProviderSelect.value = settings.asrProvider || "";
+  } catch (error) {
+    console.warn("获取租户设置失败", error);
+  }
+};
+
+const createEmptyOption = (text) => {
+  const option = document.createElement("option");
+  option.value = "";
+  option.textContent = text;
+  return option;
+};
+
+const renderOptionalFieldOptions = (select, fields) => {
+  select.innerHTML = "";
+  select.appendChild(createEmptyOption("不写入"));
+  fields.forEach((field) => select.appendChild(createOption(field)));
+};
+
+const isSubtitleFileOutput = () => outputFormatSelect.value === "srt-file";
+
+const getSubtitleFormat = (format = outputFormatSelect.value) => {
+  if (format === "srt-file") {
+    return "srt";
+  }
+  return format === "srt" || format === "vtt" ? format : "";
+};
+
+const renderOutputFieldOptions = () => {
+  const fields = isSubtitleFileOutput() ? state.attachmentFields : state.textFields;
+  outputSelect.innerHTML = "";
+  fields.forEach((field) => outputSelect.appendChild(createOption(field)));
+};
+
 const refreshFields = async () => {
   const selection = await bitable.base.getSelection();
   const table =
@@ -278,18 +601,57 @@ const refreshFields = async () => {
   state.baseId = selection.baseId || "";
 
   const fieldMetaList = await table.getFieldMetaList();
+  state.fields = fieldMetaList;
   state.attachmentFields = fieldMetaList.filter((field) => field.type === FieldType.Attachment);
   state.textFields = fieldMetaList.filter((field) => field.type === FieldType.Text);
+  state.linkSourceFields = fieldMetaList.filter(
+    (field) => field.type === FieldType.Url || field.type === FieldType.Text
+  );
+  state.numberFields = fieldMetaList.filter((field) => field.type === FieldType.Number);
+  // 拆分模式的新记录写在当前表，只能使用指向当前表的双向关联字段
+  state.linkFields = getSplitLinkFields(
+    fieldMetaList.filter((field) => field.type === FieldType.DuplexLink),
+    table.id
+  );
 
   attachmentSelect.innerHTML = "";
-  outputSelect.innerHTML = "";
-
   state.attachmentFields.forEach((field) => attachmentSelect.appendChild(createOption(field)));
-  state.textFields.forEach((field) => outputSelect.appendChild(createOption(field)));
+  if (state.linkSourceFields.length > 0) {
+    const linkGroup = document.createElement("optgroup");
+    linkGroup.label = "视频链接";
+    state.linkSourceFields.forEach((field) => linkGroup.appendChild(createOption(field)));
+    attachmentSelect.appendChild(linkGroup);
+  }
+  renderOutputFieldOptions();
 
-  if (state.attachmentFields.length === 0) {
-    setStatus("未找到附件字段");
-  } else if (state.textFields.length === 0) {
+  linkFieldSelect.innerHTML = "";
+  state.linkFields.forEach((field) => linkFieldSelect.appendChild(createOption(field)));
+
+  scopeFilterFieldSelect.innerHTML = "";
+  fieldMetaList
+    .filter((field) => scopeFilterFieldTypes.includes(field.type))
+    .forEach((field) => scopeFilterFieldSelect.appendChild(createOption(field)));
+
+  renderOptionalFieldOptions(translationFieldSelect, state.textFields);
+  renderOptionalFieldOptions(speakerCountSelect, state.numberFields);
+  renderOptionalFieldOptions(durationFieldSelect, state.numberFields);
+  renderOptionalFieldOptions(
+    statusFieldSelect,
+    fieldMetaList.filter((field) => field.type === FieldType.SingleSelect)
+  );
+  renderOptionalFieldOptions(errorFieldSelect, state.textFields);
+  renderOptionalFieldOptions(
+    processedAtFieldSelect,
+    fieldMetaList.filter((field) => field.type === FieldType.DateTime)
+  );
+  renderOptionalFieldOptions(languageFieldSelect, state.textFields);
+  renderOptionalFieldOptions(summaryFieldSelect, state.textFields);
+  renderOptionalFieldOptions(keywordsFieldSelect, state.textFields);
+  renderOptionalFieldOptions(actionItemsFieldSelect, state.textFields);
+
+  if (state.attachmentFields.length === 0 && state.linkSourceFields.length === 0) {
+    setStatus("未找到附件或链接字段");
+  } else if (!isSubtitleFileOutput() && state.textFields.length === 0) {
     setStatus("未找到文本字段");
   } else {
     setStatus("就绪");
@@ -298,6 +660,10 @@ const refreshFields = async () => {
   await fetchSubscriptionStatus();
   await fetchPlans();
   await fetchUsage();
+  await fetchWallet();
+  await fetchSettings();
+  connectJobStream();
+  await resumeBackgroundJobs();
 };
 
 const getFileExtension = (name = "") => {
@@ -308,7 +674,7 @@ const getFileExtension = (name = "") => {
   return parts.pop().toLowerCase();
 };
 
-const validateAttachment = (file) => {
+const validateAttachment = (file, maxSizeBytes = maxAttachmentSizeBytes) => {
   if (!file) {
     return { ok: false, reason: "附件为空" };
   }
@@ -318,7 +684,7 @@ const validateAttachment = (file) => {
     return { ok: false, reason: `不支持的格式: ${name || "未知文件"}` };
   }
   const size = Number(file.size);
-  if (Number.isFinite(size) && size > maxAttachmentSizeBytes) {
+  if (Number.isFinite(size) && size > maxSizeBytes) {
     return { ok: false, reason: `文件过大: ${name || "未知文件"}` };
   }
   return { ok: true, extension };
@@ -364,24 +730,101 @@ const hasExistingOutput = async (record, outputFieldId) => {
   return String(value).trim().length > 0;
 };
 
-const runWithConcurrency = async (tasks, limit) => {
-  if (!tasks.length) {
+// getRecordsByPage 单页上限 200 条，按 hasMore 与 pageToken 逐页读取；传入 filter 时 viewId 会被忽略
+const iterateRecordPages = async function* ({ viewId, filter } = {}) {
+  let pageToken;
+  let hasMore = true;
+  while (hasMore) {
+    if (shouldStop) return;
+    const page = await state.table.getRecordsByPage({ pageSize: 200, pageToken, viewId, filter });
+    yield { total: page.total, records: page.records || [] };
+    hasMore = Boolean(page.hasMore && page.pageToken !== undefined);
+    pageToken = page.pageToken;
+  }
+};
+
+const iterateSelectedRecords = async function* () {
+  const selection = await bitable.base.getSelection();
+  let recordIds = [];
+  try {
+    recordIds = await bitable.ui.selectRecordIdList(state.table.id, selection.viewId);
+  } catch (error) {
+    console.warn("选择记录失败", error);
+  }
+  if (!recordIds?.length && selection.recordId) {
+    recordIds = [selection.recordId];
+  }
+  for (let index = 0; index < recordIds.length; index += 200) {
+    if (shouldStop) return;
+    const ids = recordIds.slice(index, index + 200);
+    const values = await state.table.getRecordsByIds(ids);
+    yield {
+      total: recordIds.length,
+      records: values.map((value, offset) => ({ recordId: ids[offset], fields: value?.fields || {} }))
+    };
+  }
+};
+
+const scopeFilterFieldTypes = [FieldType.Text, FieldType.Number, FieldType.SingleSelect];
+
+// 条件筛选交给 getRecordsByPage 在服务端执行，值为空时匹配空单元格
+const buildScopeFilterCondition = (field, expected) => {
+  if (!expected) {
+    return { fieldId: field.id, operator: FilterOperator.IsEmpty, value: null };
+  }
+  if (field.type === FieldType.Number) {
+    const value = Number(expected);
+    if (!Number.isFinite(value)) {
+      throw new Error("筛选值需为数字");
+    }
+    return { fieldId: field.id, operator: FilterOperator.Is, value };
+  }
+  if (field.type === FieldType.SingleSelect) {
+    const option = (field.property?.options || []).find((item) => item.name === expected);
+    return option ? { fieldId: field.id, operator: FilterOperator.Is, value: option.id } : null;
+  }
+  return { fieldId: field.id, operator: FilterOperator.Is, value: expected };
+};
+
+const iterateScopedRecordPages = async function* () {
+  const scope = recordScopeSelect.value;
+  if (scope === "selection") {
+    yield* iterateSelectedRecords();
     return;
   }
-  const workerCount = Math.min(Math.max(limit, 1), tasks.length);
-  let nextIndex = 0;
+  if (scope === "view") {
+    const selection = await bitable.base.getSelection();
+    const viewId = selection.viewId || (await state.table.getActiveView())?.id;
+    yield* iterateRecordPages({ viewId });
+    return;
+  }
+  if (scope === "filter") {
+    const field = state.fields.find((item) => item.id === scopeFilterFieldSelect.value);
+    const condition = buildScopeFilterCondition(field, scopeFilterValueInput.value.trim());
+    // 单选字段没有同名选项时不会有匹配的记录
+    if (!condition) {
+      yield { total: 0, records: [] };
+      return;
+    }
+    yield* iterateRecordPages({ filter: { conjunction: FilterConjunction.And, conditions: [condition] } });
+    return;
+  }
+  yield* iterateRecordPages();
+};
+
+// tasks 可以是数组或异步迭代器，各 worker 按需拉取下一个任务
+const runWithConcurrency = async (tasks, limit) => {
+  const iterator = tasks[Symbol.asyncIterator] ? tasks[Symbol.asyncIterator]() : tasks[Symbol.iterator]();
   const runWorker = async () => {
-    while (true) {
-      if (shouldStop) break;
-      const current = nextIndex;
-      nextIndex += 1;
-      if (current >= tasks.length) {
+    while (!shouldStop) {
+      const { value, done } = await iterator.next();
+      if (done) {
         break;
       }
-      await tasks[current]();
+      await value();
     }
   };
-  await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+  await Promise.all(Array.from({ length: Math.max(limit, 1) }, () => runWorker()));
 };
 
 const submitTranscribe = async (payload) => {
@@ -392,23 +835,51 @@ const queryTranscribe = async (payload) => {
   return postJson("/api/transcribe/query", payload);
 };
 
-const transcribeWithPolling = async (payload) => {
-  const submitResult = await submitTranscribe(payload);
-  const { taskId, logId } = submitResult;
-  if (!taskId) {
-    throw new Error("未返回任务 ID");
-  }
+const getFileBaseName = (name = "") => {
+  const index = name.lastIndexOf(".");
+  return index > 0 ? name.slice(0, index) : name || "transcript";
+};
+
+const pollTranscribe = async ({
+  taskId,
+  logId,
+  baseId,
+  runId,
+  subtitleFormat,
+  withSpeakers,
+  withInsights,
+  targetLanguage
+}) => {
   let currentLogId = logId;
+  const startedAt = Date.now();
 
-  for (let attempt = 0; attempt < 60; attempt += 1) {
+  for (let attempt = 0; Date.now() - startedAt < maxPollMs; attempt += 1) {
     if (shouldStop) throw new Error("用户停止");
-    await wait(2000);
-    const queryResult = await queryTranscribe({ taskId, logId: currentLogId, baseId: payload.baseId });
+    // 前 30 次每 2 秒查询一次，之后放缓到 10 秒，减少长任务的查询量
+    await wait(attempt < 30 ? 2000 : 10000);
+    let queryResult;
+    try {
+      queryResult = await queryTranscribe({
+        taskId,
+        logId: currentLogId,
+        baseId,
+        runId,
+        subtitleFormat: subtitleFormat || undefined,
+        withSpeakers: withSpeakers || undefined,
+        withInsights: withInsights || undefined,
+        targetLanguage: targetLanguage || undefined
+      });
+    } catch (error) {
+      // 查询被限流时任务仍在进行，等待后继续轮询
+      if (error.status !== 429) throw error;
+      await wait(error.retryAfterMs || 2000);
+      continue;
+    }
     if (queryResult.logId) {
       currentLogId = queryResult.logId;
     }
     if (queryResult.status === "done") {
-      return queryResult.text || "";
+      return queryResult;
     }
     if (queryResult.status === "failed") {
       throw new Error(queryResult.message || "识别失败");
@@ -417,6 +888,24 @@ const transcribeWithPolling = async (payload) => {
   throw new Error("识别超时");
 };
 
+const transcribeWithPolling = async ({ subtitleFormat, withSpeakers, withInsights, targetLanguage, ...payload }) => {
+  const submitResult = await submitTranscribe(payload);
+  const { taskId, logId } = submitResult;
+  if (!taskId) {
+    throw new Error("未返回任务 ID");
+  }
+  return pollTranscribe({
+    taskId,
+    logId,
+    baseId: payload.baseId,
+    runId: payload.runId,
+    subtitleFormat,
+    withSpeakers,
+    withInsights,
+    targetLanguage
+  });
+};
+
 const transcribeWithRetry = async (payload, retries = 5) => {
   let lastError;
   for (let i = 0; i <= retries; i += 1) {
@@ -434,7 +923,7 @@ const transcribeWithRetry = async (payload, retries = 5) => {
       // 最后一次尝试失败，抛出错误
       if (i === retries) break;
       
-      const retryWaitMs = isQpsError ? 2000 * (i + 1) : 1000 * (i + 1);
+      const retryWaitMs = error.retryAfterMs || (isQpsError ? 2000 * (i + 1) : 1000 * (i + 1));
       console.warn(`第 ${i + 1} 次尝试失败，${isQpsError ? "QPS超限，" : ""}准备重试:`, error.message);
       
       // 等待一段时间后重试，递增等待时间
@@ -444,7 +933,496 @@ const transcribeWithRetry = async (payload, retries = 5) => {
   throw lastError;
 };
 
-const run = async () => {
+const getOutputConfig = () => {
+  const withSpeakers = enableSpeakerInfoToggle.checked;
+  const attachmentMode = attachmentOutputModeSelect.value;
+  const linkField = state.linkFields.find((field) => field.id === linkFieldSelect.value);
+  return {
+    fieldId: outputSelect.value,
+    format: outputFormatSelect.value,
+    attachmentMode,
+    translationFieldId: translationFieldSelect.value,
+    targetLanguage: translationFieldSelect.value ? targetLanguageSelect.value : "",
+    linkFieldId: attachmentMode === "split" ? linkField?.id || "" : "",
+    linkBackFieldId: attachmentMode === "split" ? linkField?.property?.backFieldId || "" : "",
+    withSpeakers,
+    speakerCountFieldId: withSpeakers ? speakerCountSelect.value : "",
+    mapping: {
+      durationFieldId: durationFieldSelect.value,
+      statusFieldId: statusFieldSelect.value,
+      errorFieldId: errorFieldSelect.value,
+      processedAtFieldId: processedAtFieldSelect.value,
+      languageFieldId: languageFieldSelect.value,
+      selectedLanguage: languageSelect.value,
+      summaryFieldId: summaryFieldSelect.value,
+      keywordsFieldId: keywordsFieldSelect.value,
+      actionItemsFieldId: actionItemsFieldSelect.value
+    }
+  };
+};
+
+const buildTranscribeRequest = (output) => ({
+  language: languageSelect.value,
+  modelVersion: modelVersionSelect.value,
+  enableItn: enableItnToggle.checked,
+  enablePunc: enablePuncToggle.checked,
+  enableDdc: enableDdcToggle.checked,
+  showUtterances: getSubtitleFormat(output.format) || output.withSpeakers ? true : showUtterancesToggle.checked,
+  enableSpeakerInfo: output.withSpeakers,
+  preprocessMedia: preprocessMediaToggle.checked,
+  provider: asrProviderSelect.value || undefined
+});
+
+const hasInsightMapping = (output) => {
+  const mapping = output.mapping || {};
+  return Boolean(mapping.summaryFieldId || mapping.keywordsFieldId || mapping.actionItemsFieldId);
+};
+
+const buildQueryOptions = (output) => ({
+  subtitleFormat: getSubtitleFormat(output.format) || undefined,
+  withSpeakers: output.withSpeakers || undefined,
+  withInsights: hasInsightMapping(output) || undefined,
+  targetLanguage: output.targetLanguage || undefined
+});
+
+const linkPattern = /https?:\/\/[^\s<>"'，。；、）]+/g;
+
+const extractLinks = (value) => {
+  const segments = Array.isArray(value) ? value : value ? [value] : [];
+  const links = new Set();
+  segments.forEach((segment) => {
+    if (segment && typeof segment === "object" && segment.link) {
+      links.add(segment.link);
+    }
+    const text = typeof segment === "string" ? segment : segment?.text || "";
+    (String(text).match(linkPattern) || []).forEach((link) => links.add(link));
+  });
+  return Array.from(links);
+};
+
+const getLinkFileName = (link) => {
+  try {
+    const url = new URL(link);
+    return `${url.hostname}${url.pathname}${url.search}`.replace(/[^\w\u4e00-\u9fa5-]+/g, "_").slice(0, 80);
+  } catch {
+    return "link";
+  }
+};
+
+// 链接由服务端下载为音频，前端只传原始地址
+const resolveRecordLinks = (record, fieldId) => ({
+  files: extractLinks(record.fields?.[fieldId]).map((link) => ({
+    fileName: getLinkFileName(link),
+    fileToken: link,
+    sourceUrl: link
+  })),
+  errors: []
+});
+
+const resolveRecordFiles = async (record, attachmentFieldId, request = {}) => {
+  if (state.linkSourceFields.some((field) => field.id === attachmentFieldId)) {
+    return resolveRecordLinks(record, attachmentFieldId);
+  }
+  const attachmentValue = record.fields?.[attachmentFieldId];
+  if (!attachmentValue || attachmentValue.length === 0) {
+    return { files: [], errors: [] };
+  }
+  const files = Array.isArray(attachmentValue) ? attachmentValue : [attachmentValue];
+  const resolved = [];
+  const errors = [];
+  for (const file of files) {
+    const fileName = file?.name || "";
+    const fileToken = file?.token;
+    if (!fileToken) {
+      continue;
+    }
+    const validation = validateAttachment(file, request.preprocessMedia ? maxPreprocessSizeBytes : maxAttachmentSizeBytes);
+    if (!validation.ok) {
+      pushProgress(`失败: ${fileName || record.recordId} - ${validation.reason}`);
+      errors.push(validation.reason);
+      continue;
+    }
+    const durationMs = getAttachmentDurationMs(file);
+    const audioUrl = await state.table.getAttachmentUrl(fileToken);
+    resolved.push({
+      fileName,
+      fileToken,
+      audioUrl,
+      format: validation.extension,
+      durationMs: durationMs > 0 ? durationMs : undefined
+    });
+  }
+  return { files: resolved, errors };
+};
+
+const resolveRecordStatus = (results, errors) => {
+  if (errors.length > 0) {
+    return "失败";
+  }
+  return results.length > 0 ? "成功" : "跳过";
+};
+
+// 多个附件的摘要按文件分段，关键词去重合并，待办逐行列出
+const writeRecordInsights = async (recordId, results, mapping) => {
+  const withInsights = results.filter(({ result }) => result.insights);
+  results
+    .filter(({ result }) => result.insightError)
+    .forEach(({ fileName, result }) => pushProgress(`摘要失败: ${fileName || recordId} - ${result.insightError}`));
+  if (withInsights.length === 0) {
+    return;
+  }
+  if (mapping.summaryFieldId) {
+    const summaries = withInsights.map(({ fileName, result }, index) =>
+      withInsights.length > 1
+        ? `${formatSectionTitle(fileName, index)}\n${result.insights.summary || ""}`
+        : result.insights.summary || ""
+    );
+    await state.table.setCellValue(mapping.summaryFieldId, recordId, summaries.join("\n\n"));
+  }
+  if (mapping.keywordsFieldId) {
+    const keywords = new Set(withInsights.flatMap(({ result }) => result.insights.keywords || []));
+    await state.table.setCellValue(mapping.keywordsFieldId, recordId, Array.from(keywords).join("、"));
+  }
+  if (mapping.actionItemsFieldId) {
+    const actionItems = withInsights.flatMap(({ result }) => result.insights.actionItems || []);
+    await state.table.setCellValue(
+      mapping.actionItemsFieldId,
+      recordId,
+      actionItems.length > 0 ? actionItems.map((item) => `- ${item}`).join("\n") : null
+    );
+  }
+};
+
+// 语言代码能对应到语言选项时写入中文名称，否则原样写入
+const formatLanguage = (language) => {
+  const code = String(language || "").trim();
+  const option = Array.from(languageSelect.options).find(
+    (item) => item.value && (item.value === code || item.value.split("-")[0] === code.toLowerCase())
+  );
+  return option ? option.textContent : code;
+};
+
+const writeRecordMeta = async (recordId, results, output, errors) => {
+  const mapping = output.mapping || {};
+  if (mapping.durationFieldId) {
+    const durationMs = results.reduce((sum, { result }) => sum + (Number(result.durationMs) || 0), 0);
+    if (durationMs > 0) {
+      await state.table.setCellValue(mapping.durationFieldId, recordId, Math.round(durationMs / 100) / 10);
+    }
+  }
+  if (mapping.statusFieldId) {
+    const statusField = await state.table.getField(mapping.statusFieldId);
+    await statusField.setValue(recordId, resolveRecordStatus(results, errors));
+  }
+  if (mapping.errorFieldId) {
+    await state.table.setCellValue(mapping.errorFieldId, recordId, errors.length > 0 ? errors.join("\n") : null);
+  }
+  if (mapping.processedAtFieldId) {
+    await state.table.setCellValue(mapping.processedAtFieldId, recordId, Date.now());
+  }
+  if (mapping.languageFieldId) {
+    const languages = new Set(
+      results.map(({ result }) => formatLanguage(mapping.selectedLanguage || result.language)).filter(Boolean)
+    );
+    if (languages.size > 0) {
+      await state.table.setCellValue(mapping.languageFieldId, recordId, Array.from(languages).join("、"));
+    }
+  }
+  await writeRecordInsights(recordId, results, mapping);
+};
+
+const formatSectionTitle = (fileName, index) => `【${fileName || `附件${index + 1}`}】`;
+
+const writeOutputContent = async (recordId, results, output) => {
+  const subtitleFormat = getSubtitleFormat(output.format);
+  const texts = [];
+  const translations = [];
+  const subtitleFiles = [];
+  const withSection = (text, fileName, index) =>
+    output.attachmentMode === "section" ? `${formatSectionTitle(fileName, index)}\n${text}` : text;
+  results.forEach(({ fileName, result }, index) => {
+    if (result.translationError) {
+      pushProgress(`翻译失败: ${fileName || recordId} - ${result.translationError}`);
+    }
+    // 字幕输出时译文字段写入双语字幕，否则写入译文正文
+    if (output.translationFieldId && result.translation) {
+      translations.push(withSection(result.translation.subtitle || result.translation.text || "", fileName, index));
+    }
+    if (output.format === "srt-file") {
+      subtitleFiles.push(
+        new File([result.subtitle || ""], `${getFileBaseName(fileName)}.srt`, { type: "application/x-subrip" })
+      );
+      return;
+    }
+    const text = subtitleFormat ? result.subtitle || "" : result.text || "";
+    texts.push(withSection(text, fileName, index));
+  });
+  if (subtitleFiles.length > 0) {
+    const outputField = await state.table.getField(output.fieldId);
+    await outputField.setValue(recordId, subtitleFiles);
+  }
+  if (texts.length > 0) {
+    await state.table.setCellValue(output.fieldId, recordId, texts.join("\n\n"));
+  }
+  if (translations.length > 0) {
+    await state.table.setCellValue(output.translationFieldId, recordId, translations.join("\n\n"));
+  }
+};
+
+// 每个附件对应一条子记录并通过关联字段指回源记录，重跑时覆盖已有的子记录
+const writeSplitRecords = async (recordId, results, output) => {
+  const existingChildIds = getLinkedRecordIds(await state.table.getCellValue(output.linkBackFieldId, recordId));
+  for (const { item, childRecordId: existingId } of planSplitRecordWrites(existingChildIds, results)) {
+    const childRecordId =
+      existingId ||
+      (await state.table.addRecord({
+        fields: {
+          [output.linkFieldId]: { text: "", type: "text", recordIds: [recordId], tableId: state.table.id }
+        }
+      }));
+    await writeOutputContent(childRecordId, [item], output);
+  }
+};
+
+const writeRecordResults = async (recordId, results, output, errors = []) => {
+  const speakerCount = results.reduce((max, { result }) => Math.max(max, Number(result.speakerCount) || 0), 0);
+  if (output.attachmentMode === "split" && output.linkFieldId && output.linkBackFieldId) {
+    await writeSplitRecords(recordId, results, output);
+  } else {
+    await writeOutputContent(recordId, results, output);
+  }
+  if (output.speakerCountFieldId && speakerCount > 0) {
+    await state.table.setCellValue(output.speakerCountFieldId, recordId, speakerCount);
+  }
+  await writeRecordMeta(recordId, results, output, errors);
+};
+
+const isJobFinished = (job) => job.status === "done" || job.status === "failed";
+
+const fetchTableJobs = async () => {
+  const query = new URLSearchParams({ baseId: state.baseId, tableId: state.table.id });
+  const { jobs } = await getJson(`/api/jobs?${query}`);
+  return jobs || [];
+};
+
+const createBackgroundJobs = async (items, runId) => {
+  const jobIds = [];
+  for (let index = 0; index < items.length; index += 100) {
+    const { jobs } = await postJson("/api/jobs", {
+      baseId: state.baseId,
+      runId,
+      tableId: state.table.id,
+      jobs: items.slice(index, index + 100)
+    });
+    jobs.forEach((job) => jobIds.push(job.jobId));
+  }
+  return jobIds;
+};
+
+// 记录下所有附件任务都结束后才写回，避免多附件记录被部分结果覆盖
+const syncBackgroundJobs = async (jobs) => {
+  const pendingByRecord = new Map();
+  jobs
+    .filter((job) => !job.writtenAt)
+    .forEach((job) => {
+      const list = pendingByRecord.get(job.recordId) || [];
+      list.push(job);
+      pendingByRecord.set(job.recordId, list);
+    });
+  let written = 0;
+  for (const [recordId, recordJobs] of pendingByRecord) {
+    if (!recordJobs.every(isJobFinished)) {
+      continue;
+    }
+    try {
+      const results = [];
+      const output = recordJobs[0].output || {};
+      const errors = [...(output.errors || [])];
+      for (const job of recordJobs) {
+        if (job.status === "done") {
+          const detail = await getJson(
+            `/api/jobs/${encodeURIComponent(job.jobId)}?${new URLSearchParams({ baseId: state.baseId })}`
+          );
+          results.push({ fileName: job.fileName, result: detail.result || {} });
+          pushProgress(`完成: ${job.fileName || recordId}`);
+        } else {
+          pushProgress(`失败: ${job.fileName || recordId} - ${job.error || "识别失败"}`);
+          errors.push(`${job.fileName || recordId}: ${job.error || "识别失败"}`);
+        }
+      }
+      await writeRecordResults(recordId, results, output, errors);
+      await postJson("/api/jobs/ack", { baseId: state.baseId, jobIds: recordJobs.map((job) => job.jobId) });
+      written += 1;
+    } catch (error) {
+      pushProgress(`出错: ${recordId} - ${error.message || "未知错误"}`);
+    }
+  }
+  return written;
+};
+
+const watchBackgroundJobs = async (jobIds) => {
+  const ids = new Set(jobIds);
+  while (true) {
+    const jobs = (await fetchTableJobs()).filter((job) => ids.has(job.jobId));
+    await syncBackgroundJobs(jobs);
+    const finished = jobs.filter(isJobFinished);
+    const failed = finished.filter((job) => job.status === "failed").length;
+    setStatus(`后台任务 完成 ${finished.length - failed} / 失败 ${failed} / 共 ${jobs.length}`);
+    if (finished.length === jobs.length) {
+      return finished.length - failed;
+    }
+    if (shouldStop) {
+      setStatus("已停止查看，后台任务仍在继续，重新打开插件后会自动写回结果");
+      return finished.length - failed;
+    }
+    await wait(3000);
+  }
+};
+
+const resumeBackgroundJobs = async () => {
+  if (!state.baseId || !state.table) {
+    return;
+  }
+  try {
+    const jobs = await fetchTableJobs();
+    const written = await syncBackgroundJobs(jobs);
+    if (written > 0) {
+      pushProgress(`已写回 ${written} 条后台任务结果`);
+    }
+    const active = jobs.filter((job) => !isJobFinished(job)).length;
+    if (active > 0) {
+      setStatus(`后台任务进行中 ${active} 个`);
+    }
+  } catch (error) {
+    console.warn("同步后台任务失败", error);
+  }
+};
+
+// 批量任务进行中时由当前的查看循环写回；否则连同同一记录的其他附件一起重新写回。
+// 附件的临时链接会过期，重试前按 fileToken 重新获取
+const retryBackgroundJob = async (row) => {
+  const jobPath = `/api/jobs/${encodeURIComponent(row.jobId)}`;
+  const job = await getJson(`${jobPath}?${new URLSearchParams({ baseId: state.baseId })}`);
+  const audioUrl = job.fileToken && !job.sourceUrl ? await state.table.getAttachmentUrl(job.fileToken) : undefined;
+  await postJson(`${jobPath}/retry`, { baseId: state.baseId, audioUrl });
+  if (runButton.disabled) {
+    return;
+  }
+  const jobIds = (await fetchTableJobs())
+    .filter((job) => job.recordId === row.recordId)
+    .map((job) => job.jobId);
+  await watchBackgroundJobs(jobIds);
+  await refreshUsage();
+};
+
+// 续跑时优先复用已提交的任务 ID，避免重复提交产生额外计费
+const resumeOrTranscribe = async (item, payload) => {
+  if (item?.taskId && item.status !== "failed") {
+    try {
+      return await pollTranscribe({
+        taskId: item.taskId,
+        logId: item.logId,
+        baseId: payload.baseId,
+        runId: payload.runId,
+        subtitleFormat: payload.subtitleFormat,
+        withSpeakers: payload.withSpeakers,
+        withInsights: payload.withInsights,
+        targetLanguage: payload.targetLanguage
+      });
+    } catch (error) {
+      if (error.message === "用户停止") throw error;
+      pushProgress(`续接失败，重新提交: ${payload.fileName || item.recordId} - ${error.message}`);
+    }
+  }
+  return transcribeWithRetry(payload);
+};
+
+const transcribeRecordFiles = async (
+  recordId,
+  { files, errors: validationErrors },
+  { output, request, queryOptions, runId, resumeItems = {} }
+) => {
+  const getItem = (file) => resumeItems[`${recordId}:${file.fileToken}`];
+  if (files.length > 0 && files.every((file) => getItem(file)?.status === "written")) {
+    return 0;
+  }
+  const results = [];
+  const errors = [...validationErrors];
+  for (const file of files) {
+    try {
+      const result = await resumeOrTranscribe(getItem(file), {
+        ...request,
+        ...queryOptions,
+        audioUrl: file.audioUrl,
+        sourceUrl: file.sourceUrl,
+        format: file.format,
+        baseId: state.baseId,
+        durationMs: file.durationMs,
+        runId,
+        recordId,
+        fileToken: file.fileToken,
+        fileName: file.fileName
+      });
+      results.push({ fileName: file.fileName, fileToken: file.fileToken, result });
+      pushProgress(`完成: ${file.fileName || recordId}`);
+    } catch (error) {
+      pushProgress(`失败: ${file.fileName || recordId} - ${error.message}`);
+      errors.push(`${file.fileName || recordId}: ${error.message}`);
+    }
+  }
+  await writeRecordResults(recordId, results, output, errors);
+  await markRunItems(
+    runId,
+    results.map((item) => ({ recordId, fileToken: item.fileToken, status: "written" }))
+  );
+  return results.length;
+};
+
+const getRunQuery = () =>
+  new URLSearchParams({
+    baseId: state.baseId,
+    tableId: state.table.id,
+    attachmentFieldId: attachmentSelect.value,
+    outputFieldId: outputSelect.value
+  });
+
+// 未在本次会话中运行过时，导出当前字段组合最近一次运行的报表
+const downloadRunReport = async (format) => {
+  if (!state.table) {
+    return;
+  }
+  try {
+    const runId = state.lastRunId || (await getJson(`/api/runs/latest?${getRunQuery()}`)).runId;
+    const query = new URLSearchParams({ baseId: state.baseId, format });
+    const response = await fetch(`/api/runs/${encodeURIComponent(runId)}/report?${query}`);
+    if (!response.ok) {
+      throw await createResponseError(response);
+    }
+    const fileName =
+      response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || `run-report.${format}`;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    setStatus(error.message || "导出报表失败");
+  }
+};
+
+const markRunItems = async (runId, items) => {
+  if (!runId || items.length === 0) {
+    return;
+  }
+  try {
+    await postJson(`/api/runs/${encodeURIComponent(runId)}/items`, { baseId: state.baseId, items });
+  } catch (error) {
+    console.warn("更新运行记录失败", error);
+  }
+};
+
+const run = async ({ resume = false } = {}) => {
   if (!state.table) {
     return;
   }
@@ -452,8 +1430,16 @@ const run = async () => {
     setStatus("请先选择字段");
     return;
   }
+  if (attachmentOutputModeSelect.value === "split" && !linkFieldSelect.value) {
+    setStatus("请先选择关联源记录字段（需为双向关联）");
+    return;
+  }
+  if (recordScopeSelect.value === "filter" && !scopeFilterFieldSelect.value) {
+    setStatus("请先选择筛选字段");
+    return;
+  }
 
-  const subscriptionResult = await consumeSubscription();
+  const subscriptionResult = await checkSubscription();
   if (!subscriptionResult.allowed) {
     setStatus(subscriptionResult.message || "请先开通订阅");
     return;
@@ -461,124 +1447,109 @@ const run = async () => {
 
   shouldStop = false;
   runButton.disabled = true;
+  resumeButton.disabled = true;
   stopButton.disabled = false;
   clearProgress();
   setStatus("处理中");
 
+  let runRecord = null;
   try {
     const attachmentFieldId = attachmentSelect.value;
-    const outputFieldId = outputSelect.value;
+    const useBackgroundJobs = !resume && backgroundJobsToggle.checked;
+    if (resume) {
+      runRecord = await getJson(`/api/runs/latest?${getRunQuery()}`);
+      if (runRecord.background) {
+        await resumeBackgroundJobs();
+        setStatus("上次为后台任务，无需继续，结果会自动写回");
+        return;
+      }
+      pushProgress(`继续上次任务，已记录 ${Object.keys(runRecord.items || {}).length} 个附件`);
+    } else {
+      // 后台任务同样登记运行记录，用于导出报表
+      const output = getOutputConfig();
+      runRecord = await postJson("/api/runs", {
+        baseId: state.baseId,
+        tableId: state.table.id,
+        attachmentFieldId,
+        outputFieldId: output.fieldId,
+        output,
+        request: buildTranscribeRequest(output),
+        background: useBackgroundJobs
+      });
+    }
+    state.lastRunId = runRecord.runId;
+    const output = resume ? runRecord.output : getOutputConfig();
+    const outputFieldId = output.fieldId;
+    const request = resume ? runRecord.request : buildTranscribeRequest(output);
+    const queryOptions = buildQueryOptions(output);
+    const runId = runRecord?.runId;
+    const resumeItems = resume ? runRecord.items || {} : {};
+    const jobItems = [];
+    const jobIds = [];
     
-    // 使用 getRecords 批量获取数据，避免 getRecordById 可能的报错
-    const { records } = await state.table.getRecords({
-      pageSize: 5000, // 假设一次性能拿完，如果超过需要分页，但这里先简化
-      fieldIdList: [attachmentFieldId, outputFieldId] // 仅获取相关字段，提升速度
-    });
-
+    const skipExisting = Boolean(skipExistingOutputToggle?.checked);
     let handled = 0;
     let processedRecords = 0;
-    
-    // 1. 快速筛选出真正需要处理的记录
-    const pendingRecords = [];
-    
-    // 如果不需要跳过已有内容，那么所有记录都是 pending
-    // 如果需要跳过，则先同步检查一遍
-    if (!skipExistingOutputToggle?.checked) {
-      pendingRecords.push(...records);
-    } else {
-      // 快速同步检查
-      for (const record of records) {
-        const recordId = record.recordId;
-        const recordFields = record.fields || {};
-        const outputValue = recordFields[outputFieldId];
-        
-        let exists = false;
-        if (outputValue !== null && outputValue !== undefined) {
-           if (typeof outputValue === "string") {
-             exists = outputValue.trim().length > 0;
-           } else if (Array.isArray(outputValue)) {
-             const allText = outputValue
-               .map(item => (item && typeof item === 'object' && item.text) ? String(item.text) : '')
-               .join('');
-             exists = allText.trim().length > 0;
-           } else {
-             exists = String(outputValue).trim().length > 0;
-           }
-        }
-        
-        if (exists) {
-          processedRecords += 1;
-        } else {
-          pendingRecords.push(record);
+    let skippedRecords = 0;
+    let totalRecords = 0;
+    let seenRecords = 0;
+
+    // 逐页读取记录并直接交给任务池，避免一次性把整张表载入内存
+    const recordTasks = async function* () {
+      for await (const page of iterateScopedRecordPages()) {
+        seenRecords += page.records.length;
+        totalRecords = Math.max(Number(page.total) || 0, seenRecords);
+        for (const record of page.records) {
+          if (skipExisting && hasWrittenOutput(record.fields, output)) {
+            processedRecords += 1;
+            skippedRecords += 1;
+            setStatus(`处理中 ${processedRecords}/${totalRecords}，已跳过 ${skippedRecords} 条`);
+            continue;
+          }
+          yield createRecordTask(record);
         }
       }
-      // 更新状态
-      setStatus(`已跳过 ${processedRecords} 条，剩余 ${pendingRecords.length} 条待处理`);
-    }
+    };
 
-    const totalRecords = records.length; // 总数保持不变
-    
-    // 2. 只为需要处理的记录创建任务
-    const tasks = pendingRecords.map((record) => async () => {
+    const createRecordTask = (record) => async () => {
       const recordId = record.recordId;
       try {
-        if (!record) {
-          processedRecords += 1;
-          setStatus(`处理中 ${processedRecords}/${totalRecords}`);
-          return;
-        }
-
-        const recordFields = record.fields || {};
-        // 这里再次检查 skip 逻辑其实是多余的，因为上面已经过滤了。
-        // 但为了代码结构的完整性，或者防止 toggles 变动（虽然运行中不应变动），保留也无妨。
-        // 不过为了极致速度，这里可以直接去掉 skip 检查逻辑。
-        
-        const attachmentValue = recordFields[attachmentFieldId];
-        if (!attachmentValue || attachmentValue.length === 0) {
-          processedRecords += 1;
-          setStatus(`处理中 ${processedRecords}/${totalRecords}`);
-          return;
-        }
-
-        const texts = [];
-        const files = Array.isArray(attachmentValue) ? attachmentValue : [attachmentValue];
-        
-        for (const file of files) {
-          const fileName = file?.name || "";
-          const fileToken = file?.token;
-          if (!fileToken) {
-            continue;
-          }
-          const validation = validateAttachment(file);
-          if (!validation.ok) {
-            pushProgress(`失败: ${fileName || recordId} - ${validation.reason}`);
-            continue;
+        const resolved = await resolveRecordFiles(record, attachmentFieldId, request);
+        if (useBackgroundJobs) {
+          if (resolved.files.length === 0) {
+            await writeRecordResults(recordId, [], output, resolved.errors);
           }
-          const durationMs = getAttachmentDurationMs(file);
-          const attachmentUrl = await state.table.getAttachmentUrl(fileToken);
-          try {
-            const text = await transcribeWithRetry({
-              audioUrl: attachmentUrl,
-              format: validation.extension,
-              baseId: state.baseId,
-              language: languageSelect.value,
-              modelVersion: modelVersionSelect.value,
-              enableItn: enableItnToggle.checked,
-              enablePunc: enablePuncToggle.checked,
-              enableDdc: enableDdcToggle.checked,
-              showUtterances: showUtterancesToggle.checked,
-              durationMs: durationMs > 0 ? durationMs : undefined
+          resolved.files.forEach((file) => {
+            jobItems.push({
+              recordId,
+              fileName: file.fileName,
+              fileToken: file.fileToken,
+              request: {
+                ...request,
+                audioUrl: file.audioUrl,
+                sourceUrl: file.sourceUrl,
+                format: file.format,
+                durationMs: file.durationMs
+              },
+              options: queryOptions,
+              output: { ...output, errors: resolved.errors }
             });
-            texts.push(text);
-            handled += 1;
-            pushProgress(`完成: ${fileName || recordId}`);
-          } catch (error) {
-            pushProgress(`失败: ${fileName || recordId} - ${error.message}`);
+          });
+          if (jobItems.length >= 100) {
+            jobIds.push(...(await createBackgroundJobs(jobItems.splice(0, jobItems.length), runId)));
           }
+          processedRecords += 1;
+          setStatus(`准备中 ${processedRecords}/${totalRecords}`);
+          return;
         }
-        if (texts.length > 0) {
-          await state.table.setCellValue(outputFieldId, recordId, texts.join("\n\n"));
-        }
+
+        handled += await transcribeRecordFiles(recordId, resolved, {
+          output,
+          request,
+          queryOptions,
+          runId,
+          resumeItems
+        });
         processedRecords += 1;
         setStatus(`处理中 ${processedRecords}/${totalRecords}`);
       } catch (error) {
@@ -587,27 +1558,237 @@ const run = async () => {
         processedRecords += 1;
         setStatus(`处理中 ${processedRecords}/${totalRecords}`);
       }
-    });
+    };
 
-    await runWithConcurrency(tasks, concurrencyLimit);
+    await runWithConcurrency(recordTasks(), concurrencyLimit);
+
+    if (useBackgroundJobs) {
+      jobIds.push(...(await createBackgroundJobs(jobItems.splice(0, jobItems.length), runId)));
+      if (jobIds.length === 0) {
+        setStatus("没有需要处理的附件");
+        return;
+      }
+      pushProgress(`已创建 ${jobIds.length} 个后台任务，关闭插件不会中断`);
+      handled = await watchBackgroundJobs(jobIds);
+      if (!shouldStop) {
+        setStatus(`完成 ${handled} 个附件`);
+      }
+      await refreshUsage();
+      return;
+    }
 
     setStatus(`完成 ${handled} 个附件`);
-    await fetchUsage();
+    await refreshUsage();
   } catch (error) {
     setStatus(error.message || "处理失败");
   } finally {
+    if (runRecord?.runId) {
+      await postJson(`/api/runs/${encodeURIComponent(runRecord.runId)}/finish`, {
+        baseId: state.baseId,
+        status: shouldStop ? "stopped" : "completed"
+      }).catch(() => {});
+    }
     runButton.disabled = false;
+    resumeButton.disabled = false;
     stopButton.disabled = true;
+    // 停止只针对本次批量任务，自动转写继续监听
+    if (watchState.context) {
+      shouldStop = false;
+    }
   }
 };
 
+const watchDebounceMs = 3000;
+
+const scheduleWatchDrain = () => {
+  clearTimeout(watchState.timer);
+  // 新增记录时附件通常还在上传，稍等片刻再读取
+  watchState.timer = setTimeout(() => {
+    drainWatchQueue();
+  }, watchDebounceMs);
+};
+
+const enqueueWatchRecord = (recordId, { modified = false } = {}) => {
+  if (!recordId || !watchState.context) {
+    return;
+  }
+  watchState.queue.add(recordId);
+  if (modified) {
+    watchState.modified.add(recordId);
+  }
+  scheduleWatchDrain();
+};
+
+// 附件取文件 token，链接字段取链接本身，用于判断修改事件是否更换了文件
+const getSourceTokens = (fields, fieldId) => {
+  if (state.linkSourceFields.some((field) => field.id === fieldId)) {
+    return extractLinks(fields?.[fieldId]);
+  }
+  const value = fields?.[fieldId];
+  return (Array.isArray(value) ? value : value ? [value] : []).map((file) => file?.token).filter(Boolean);
+};
+
+const markWatchTokensProcessed = (recordId, tokens) => {
+  const processed = watchState.processedTokens.get(recordId) || new Set();
+  tokens.forEach((token) => processed.add(token));
+  watchState.processedTokens.set(recordId, processed);
+};
+
+// 已有输出的记录只在附件被修改且出现未处理过的文件时重新转写
+const shouldWatchProcess = (record, { attachmentFieldId, output }, modified) => {
+  if (!hasWrittenOutput(record.fields, output)) {
+    return true;
+  }
+  if (!modified) {
+    return false;
+  }
+  const processed = watchState.processedTokens.get(record.recordId) || new Set();
+  return getSourceTokens(record.fields, attachmentFieldId).some((token) => !processed.has(token));
+};
+
+// 开启监听前已写入的结果以最近一次运行记录为准
+const loadWatchProcessedTokens = async () => {
+  watchState.processedTokens.clear();
+  try {
+    const run = await getJson(`/api/runs/latest?${getRunQuery()}`);
+    Object.values(run.items || {})
+      .filter((item) => item.status === "written" || item.status === "done")
+      .forEach((item) => markWatchTokensProcessed(item.recordId, [item.fileToken]));
+  } catch {
+    // 没有运行记录时所有修改过附件的记录都会重新转写
+  }
+};
+
+const drainWatchQueue = async () => {
+  if (watchState.draining || !watchState.context) {
+    return;
+  }
+  watchState.draining = true;
+  try {
+    while (watchState.queue.size > 0 && watchState.context) {
+      const recordIds = Array.from(watchState.queue).slice(0, 50);
+      const modifiedIds = new Set(recordIds.filter((recordId) => watchState.modified.has(recordId)));
+      recordIds.forEach((recordId) => {
+        watchState.queue.delete(recordId);
+        watchState.modified.delete(recordId);
+      });
+      const { context } = watchState;
+      const { attachmentFieldId, output, request, queryOptions } = context;
+      const values = await state.table.getRecordsByIds(recordIds);
+      const records = values.map((value, index) => ({ recordId: recordIds[index], fields: value?.fields || {} }));
+      const tasks = records
+        .filter((record) => shouldWatchProcess(record, context, modifiedIds.has(record.recordId)))
+        .map((record) => async () => {
+          try {
+            const resolved = await resolveRecordFiles(record, attachmentFieldId, request);
+            if (resolved.files.length === 0) {
+              return;
+            }
+            pushProgress(`自动转写: ${record.recordId}`);
+            const handled = await transcribeRecordFiles(record.recordId, resolved, { output, request, queryOptions });
+            // 有文件失败时不记录，下次修改附件时整条记录重新转写
+            if (handled === resolved.files.length) {
+              markWatchTokensProcessed(record.recordId, resolved.files.map((file) => file.fileToken));
+            }
+          } catch (error) {
+            pushProgress(`出错: ${record.recordId} - ${error.message || "未知错误"}`);
+          }
+        });
+      await runWithConcurrency(tasks, concurrencyLimit);
+    }
+    await refreshUsage();
+  } finally {
+    watchState.draining = false;
+  }
+};
+
+const stopWatch = () => {
+  watchState.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  watchState.unsubscribers = [];
+  watchState.queue.clear();
+  watchState.modified.clear();
+  watchState.context = null;
+  clearTimeout(watchState.timer);
+};
+
+const startWatch = async () => {
+  if (!state.table || !attachmentSelect.value || !outputSelect.value) {
+    setStatus("请先选择字段");
+    return false;
+  }
+  if (attachmentOutputModeSelect.value === "split" && !linkFieldSelect.value) {
+    setStatus("请先选择关联源记录字段（需为双向关联）");
+    return false;
+  }
+  const subscriptionResult = await checkSubscription();
+  if (!subscriptionResult.allowed) {
+    setStatus(subscriptionResult.message || "请先开通订阅");
+    return false;
+  }
+  const attachmentFieldId = attachmentSelect.value;
+  const output = getOutputConfig();
+  watchState.context = {
+    attachmentFieldId,
+    output,
+    request: buildTranscribeRequest(output),
+    queryOptions: buildQueryOptions(output)
+  };
+  await loadWatchProcessedTokens();
+  shouldStop = false;
+  watchState.unsubscribers = [
+    state.table.onRecordAdd((event) => {
+      (event.data || []).forEach((recordId) => enqueueWatchRecord(recordId));
+    }),
+    state.table.onRecordModify((event) => {
+      if (event.data?.fieldIds?.includes(attachmentFieldId)) {
+        enqueueWatchRecord(event.data.recordId, { modified: true });
+      }
+    })
+  ];
+  setStatus("自动转写已开启，等待新附件");
+  return true;
+};
+
 stopButton.addEventListener("click", () => {
   shouldStop = true;
   stopButton.disabled = true;
   setStatus("正在停止...");
 });
 
-runButton.addEventListener("click", run);
+runButton.addEventListener("click", () => run());
+exportCsvButton.addEventListener("click", () => downloadRunReport("csv"));
+exportXlsxButton.addEventListener("click", () => downloadRunReport("xlsx"));
+watchModeToggle.addEventListener("change", async () => {
+  if (!watchModeToggle.checked) {
+    stopWatch();
+    setStatus("自动转写已关闭");
+    return;
+  }
+  const started = await startWatch();
+  if (!started) {
+    watchModeToggle.checked = false;
+  }
+});
+recordScopeSelect.addEventListener("change", () => {
+  scopeFilterEl.classList.toggle("hidden", recordScopeSelect.value !== "filter");
+});
+attachmentOutputModeSelect.addEventListener("change", () => {
+  splitLinkFieldEl.classList.toggle("hidden", attachmentOutputModeSelect.value !== "split");
+});
+resumeButton.addEventListener("click", () => run({ resume: true }));
+defaultAsrProviderSelect.addEventListener("change", async () => {
+  try {
+    await postJson("/api/settings/set", { baseId: state.baseId, asrProvider: defaultAsrProviderSelect.value });
+  } catch (error) {
+    setStatus(error.message || "保存设置失败");
+  }
+});
+outputFormatSelect.addEventListener("change", () => {
+  renderOutputFieldOptions();
+  if (outputSelect.options.length === 0) {
+    setStatus(isSubtitleFileOutput() ? "未找到附件字段" : "未找到文本字段");
+  }
+});
 tabButtons.forEach((button) => {
   button.addEventListener("click", () => setActivePage(button.dataset.pageTarget));
 });
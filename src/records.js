@@ -0,0 +1,38 @@
+// 记录读写判断只依赖单元格数据，不引用多维表格 SDK，服务端测试可直接导入
+
+export const hasOutputValue = (value) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === "string") {
+    return value.trim().length > 0;
+  }
+  if (Array.isArray(value)) {
+    const allText = value
+      .map((item) => (item && typeof item === "object" && item.text ? String(item.text) : ""))
+      .join("");
+    return allText.trim().length > 0 || value.some((item) => item?.token);
+  }
+  if (typeof value === "object" && Array.isArray(value.recordIds)) {
+    return value.recordIds.length > 0;
+  }
+  return String(value).trim().length > 0;
+};
+
+// 拆分模式下源记录的写入字段保持为空，通过双向关联的反向字段判断是否已处理
+export const hasWrittenOutput = (fields, output) =>
+  hasOutputValue(fields?.[output.fieldId]) ||
+  Boolean(output.linkBackFieldId && hasOutputValue(fields?.[output.linkBackFieldId]));
+
+// 拆分模式只能使用指向当前表的双向关联；单向关联没有反向字段，源记录无从得知已生成的子记录
+export const getSplitLinkFields = (linkFields, tableId) =>
+  linkFields.filter((field) => field.property?.tableId === tableId && field.property?.backFieldId);
+
+export const getLinkedRecordIds = (value) => {
+  const links = Array.isArray(value) ? value : value ? [value] : [];
+  return links.flatMap((link) => (Array.isArray(link?.recordIds) ? link.recordIds : []));
+};
+
+// 重跑时按顺序复用源记录已关联的子记录，只为多出的附件新建记录
+export const planSplitRecordWrites = (existingChildIds, results) =>
+  results.map((item, index) => ({ item, childRecordId: existingChildIds[index] || "" }));
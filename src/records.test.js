@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { getLinkedRecordIds, getSplitLinkFields, hasWrittenOutput, planSplitRecordWrites } from "./records.js";
+
+describe("split record output", () => {
+  const linkFields = [
+    { id: "fld-single", property: { tableId: "tbl-1" } },
+    { id: "fld-duplex", property: { tableId: "tbl-1", backFieldId: "fld-back" } },
+    { id: "fld-other", property: { tableId: "tbl-2", backFieldId: "fld-x" } }
+  ];
+
+  it("only offers duplex links back to the current table", () => {
+    expect(getSplitLinkFields(linkFields, "tbl-1").map((field) => field.id)).toEqual(["fld-duplex"]);
+  });
+
+  it("reuses linked child records when a source record is run again", () => {
+    const output = { fieldId: "fld-out", linkFieldId: "fld-duplex", linkBackFieldId: "fld-back" };
+    const firstRun = { "fld-back": null };
+    expect(hasWrittenOutput(firstRun, output)).toBe(false);
+    expect(planSplitRecordWrites([], ["a", "b"]).map((plan) => plan.childRecordId)).toEqual(["", ""]);
+
+    const rerun = { "fld-back": { text: "", type: "text", recordIds: ["rec-a", "rec-b"], tableId: "tbl-1" } };
+    expect(hasWrittenOutput(rerun, output)).toBe(true);
+    const childIds = getLinkedRecordIds(rerun["fld-back"]);
+    expect(planSplitRecordWrites(childIds, ["a", "b", "c"])).toEqual([
+      { item: "a", childRecordId: "rec-a" },
+      { item: "b", childRecordId: "rec-b" },
+      { item: "c", childRecordId: "" }
+    ]);
+  });
+});